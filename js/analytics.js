@@ -0,0 +1,273 @@
+/**
+ * Analytics Service - Buffers tracking events and ships them in batches, with
+ * session/page-view IDs, consent handling and beacon delivery on page exit
+ */
+
+class Analytics {
+    constructor() {
+        this.endpoint = '/analytics/batch';
+        this.queueKey = 'sevenfish_analytics_queue';
+        this.sessionKey = 'sevenfish_analytics_session';
+        this.consentKey = 'sevenfish_analytics_consent';
+        this.currency = 'USD';
+        this.maxBatchSize = 20;
+        this.flushInterval = 10000;
+        this.maxStoredEvents = 500;
+        this.sessionTimeout = 30 * 60 * 1000; // New session after 30 minutes of inactivity
+
+        // When true, events are held (in memory only) until consent is granted
+        this.requireConsent = false;
+
+        this.queue = [];
+        this.sending = new Set();
+        this.flushTimer = null;
+        this.pageViewId = window.Utils.generateUUID();
+        this.init();
+    }
+
+    init() {
+        // Pick up anything a previous page failed to send
+        this.queue = window.Utils.storage.get(this.queueKey, []) || [];
+
+        // pagehide is the last reliable moment to send; beacons survive the navigation
+        window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush({ beacon: true });
+            }
+        });
+
+        window.addEventListener('online', () => this.flush());
+
+        if (this.queue.length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    // Consent
+    getConsent() {
+        return window.Utils.storage.get(this.consentKey, null);
+    }
+
+    setConsent(granted) {
+        window.Utils.storage.set(this.consentKey, granted ? 'granted' : 'denied');
+
+        if (granted) {
+            this.persist();
+            this.flush();
+        } else {
+            // Withdrawn consent discards anything not yet delivered
+            this.queue = [];
+            this.sending.clear();
+            clearTimeout(this.flushTimer);
+            window.Utils.storage.remove(this.queueKey);
+        }
+    }
+
+    hasConsent() {
+        const consent = this.getConsent();
+        if (consent === 'denied') return false;
+        return consent === 'granted' || !this.requireConsent;
+    }
+
+    // Session and page view identity
+    getSessionId() {
+        const now = Date.now();
+        let session = window.Utils.storage.get(this.sessionKey, null);
+
+        if (!session || now - session.lastActivity > this.sessionTimeout) {
+            session = { id: window.Utils.generateUUID(), startedAt: now };
+        }
+
+        session.lastActivity = now;
+        window.Utils.storage.set(this.sessionKey, session);
+        return session.id;
+    }
+
+    // Core tracking
+    track(eventName, params = {}) {
+        if (this.getConsent() === 'denied') return null;
+
+        const event = {
+            eventId: window.Utils.generateUUID(),
+            event: eventName,
+            params,
+            sessionId: this.getSessionId(),
+            pageViewId: this.pageViewId,
+            page: window.location.pathname + window.location.search,
+            timestamp: new Date().toISOString()
+        };
+
+        this.queue.push(event);
+
+        // Oldest events go first if a long outage lets the queue grow unbounded
+        if (this.queue.length > this.maxStoredEvents) {
+            this.queue.splice(0, this.queue.length - this.maxStoredEvents);
+        }
+
+        this.persist();
+
+        if (this.getPendingEvents().length >= this.maxBatchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+
+        return event;
+    }
+
+    trackPageView() {
+        return this.track('page_view', {
+            title: document.title,
+            referrer: document.referrer || null
+        });
+    }
+
+    persist() {
+        // Without consent, events may only live in memory
+        if (!this.hasConsent()) return;
+        window.Utils.storage.set(this.queueKey, this.queue);
+    }
+
+    getPendingEvents() {
+        return this.queue.filter(event => !this.sending.has(event.eventId));
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushInterval);
+    }
+
+    // Batch delivery
+    buildPayload(events) {
+        // Device context is sent once per batch rather than with every event
+        return {
+            sentAt: new Date().toISOString(),
+            context: {
+                userAgent: navigator.userAgent,
+                language: navigator.language,
+                viewport: `${window.innerWidth}x${window.innerHeight}`
+            },
+            events
+        };
+    }
+
+    async flush(options = {}) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (!this.hasConsent()) return;
+
+        if (options.beacon) {
+            this.flushWithBeacon();
+            return;
+        }
+
+        if (!navigator.onLine) return;
+
+        const batch = this.getPendingEvents().slice(0, this.maxBatchSize);
+        if (batch.length === 0) return;
+
+        batch.forEach(event => this.sending.add(event.eventId));
+
+        try {
+            await window.API.post(this.endpoint, this.buildPayload(batch), {
+                queueOffline: false, // Unsent events are already persisted here
+                silent: true,        // No toasts, login prompts or rate-limit retries for telemetry
+                timeout: 10000
+            });
+            this.acknowledge(batch);
+        } catch (error) {
+            // Keep the events for the next flush; the server dedupes on eventId
+            console.warn('Failed to send analytics batch:', error);
+        } finally {
+            batch.forEach(event => this.sending.delete(event.eventId));
+        }
+
+        if (this.getPendingEvents().length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    // Beacons can't carry auth headers or report server errors, but they outlive the page
+    flushWithBeacon() {
+        if (typeof navigator.sendBeacon !== 'function') return;
+
+        const url = `${window.API.baseURL}${this.endpoint}`;
+        // Events in an API.post batch still in flight stay persisted; if that request dies with
+        // the page they go out on the next visit, and if it lands they aren't sent twice
+        const events = this.getPendingEvents();
+
+        for (let i = 0; i < events.length; i += this.maxBatchSize) {
+            const batch = events.slice(i, i + this.maxBatchSize);
+            const blob = new Blob([JSON.stringify(this.buildPayload(batch))], { type: 'application/json' });
+
+            // The browser refuses beacons over its size budget; leave the rest persisted
+            if (!navigator.sendBeacon(url, blob)) break;
+            this.acknowledge(batch);
+        }
+    }
+
+    acknowledge(batch) {
+        const sent = new Set(batch.map(event => event.eventId));
+        this.queue = this.queue.filter(event => !sent.has(event.eventId));
+        this.persist();
+    }
+
+    // E-commerce event schema
+    toItem(product, quantity = 1) {
+        return {
+            item_id: String(product.id || product.productId),
+            item_name: product.title || product.name || null,
+            item_category: product.category || null,
+            // Cart lines carry their chosen options, e.g. 'Box Size: Large, Add-ons: Prayer Video'
+            item_variant: product.optionSummary && product.optionSummary.length > 0
+                ? product.optionSummary.map(option => `${option.name}: ${option.value}`).join(', ')
+                : null,
+            price: parseFloat(product.price) || 0,
+            quantity
+        };
+    }
+
+    getValue(items) {
+        return Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+    }
+
+    viewItem(product) {
+        const items = [this.toItem(product)];
+        return this.track('view_item', { currency: this.currency, value: this.getValue(items), items });
+    }
+
+    addToCart(product, quantity = 1) {
+        const items = [this.toItem(product, quantity)];
+        return this.track('add_to_cart', { currency: this.currency, value: this.getValue(items), items });
+    }
+
+    beginCheckout(cartItems, coupon = null) {
+        const items = cartItems.map(item => this.toItem(item, item.quantity));
+        return this.track('begin_checkout', { currency: this.currency, value: this.getValue(items), coupon, items });
+    }
+
+    search(searchTerm, params = {}) {
+        return this.track('search', { search_term: searchTerm, ...params });
+    }
+
+    purchase(order) {
+        const items = (order.items || []).map(item => this.toItem(item, item.quantity));
+        return this.track('purchase', {
+            transaction_id: String(order.id || order.orderId),
+            currency: order.currency || this.currency,
+            value: order.total !== undefined ? parseFloat(order.total) : this.getValue(items),
+            tax: order.tax || 0,
+            shipping: order.shipping || 0,
+            coupon: order.coupon || null,
+            items
+        });
+    }
+}
+
+// Create global instance
+window.Analytics = new Analytics();
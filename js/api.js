@@ -4,14 +4,44 @@
 
 class API {
     constructor() {
-        this.baseURL = '/api'; // Change this to your actual API base URL
+        this.baseURL = window.Config.getString('api.baseURL', '/api'); // Set per environment in config.js
         this.defaultHeaders = {
             'Content-Type': 'application/json',
             'X-Requested-With': 'XMLHttpRequest'
         };
         this.authToken = null;
-        this.requestQueue = [];
+        this.refreshToken = null;
+        this.refreshEndpoint = '/auth/refresh';
+        this.refreshPromise = null;
+        this.loginPromise = null;
+        this.tokenRefreshSkew = 30 * 1000; // Refresh tokens expiring within 30 seconds
+        this.offlineQueue = new OfflineQueue();
+        this.rateLimiter = new RateLimiter();
+        this.maxRateLimitRetries = 3;
+        this.realtime = new RealtimeClient({
+            sseURL: `${this.baseURL}/realtime/events`,
+            pollURL: `${this.baseURL}/realtime/poll`,
+            sendURL: `${this.baseURL}/realtime/send`,
+            getAuthToken: () => this.authToken,
+            negotiate: () => this.get('/realtime/negotiate', {}, { queueOffline: false, timeout: 5000 }),
+            onMessage: (message) => this.handleWebSocketMessage(message)
+        });
+        this.cache = new ResponseCache();
+        this.uploader = new Uploader(this);
+        this.graphql = new GraphQLClient(this, {
+            endpoint: window.Config.getString('api.graphqlEndpoint', '/graphql')
+        });
+        this.adapter = null; // Transport override, e.g. MockBackend; null uses the network
         this.isOnline = navigator.onLine;
+        this.interceptors = {
+            request: [],
+            response: [],
+            error: []
+        };
+        this.interceptorOrder = 0;
+        this.defaultTimeout = window.Config.getNumber('api.timeout', 30000);
+        this.inFlight = new Map();
+        this.channels = new Map();
         this.init();
     }
 
@@ -32,22 +62,137 @@ class API {
             }
         });
 
+        // A config file or QA override can arrive after construction
+        window.addEventListener('configChanged', () => this.applyConfig());
+
         // Load auth token from storage
         this.loadAuthToken();
+
+        // Built-in header, auth and status handling
+        this.registerDefaultInterceptors();
+        this.registerCacheInterceptors();
+
+        // Typed realtime message handlers
+        this.registerRealtimeHandlers();
+
+        // Bulk cart syncs self-throttle to a burst of 5, then 2 requests per second
+        this.rateLimiter.configure('/cart/items', { capacity: 5, refillRate: 2 });
+
+        // Carts can wait a week for connectivity; everything else uses the queue default
+        this.offlineQueue.setExpiry('/cart', 7 * 24 * 60 * 60 * 1000);
+
+        // Replay anything left over from a previous page load
+        if (this.isOnline) {
+            this.processQueue();
+        }
+    }
+
+    applyConfig() {
+        this.baseURL = window.Config.getString('api.baseURL', '/api');
+        this.defaultTimeout = window.Config.getNumber('api.timeout', 30000);
+        this.graphql.endpoint = window.Config.getString('api.graphqlEndpoint', '/graphql');
+        this.realtime.endpoints = {
+            ...this.realtime.endpoints,
+            sse: `${this.baseURL}/realtime/events`,
+            polling: `${this.baseURL}/realtime/poll`,
+            send: `${this.baseURL}/realtime/send`
+        };
+        this.cache.clear();
     }
 
     // Authentication
     setAuthToken(token) {
         this.authToken = token;
         if (token) {
-            Utils.storage.set('authToken', token);
+            window.Utils.storage.set('authToken', token);
         } else {
-            Utils.storage.remove('authToken');
+            window.Utils.storage.remove('authToken');
         }
     }
 
     loadAuthToken() {
-        this.authToken = Utils.storage.get('authToken');
+        this.authToken = window.Utils.storage.get('authToken');
+        this.refreshToken = window.Utils.storage.get('refreshToken');
+    }
+
+    setRefreshToken(token) {
+        this.refreshToken = token;
+        if (token) {
+            window.Utils.storage.set('refreshToken', token);
+        } else {
+            window.Utils.storage.remove('refreshToken');
+        }
+    }
+
+    // Read the exp claim (seconds) from a JWT without verifying it
+    getTokenExpiry(token = this.authToken) {
+        if (!token || token.split('.').length !== 3) return null;
+
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+            return claims.exp ? claims.exp * 1000 : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    isTokenExpiring(token = this.authToken) {
+        const expiry = this.getTokenExpiry(token);
+        return expiry !== null && expiry - Date.now() < this.tokenRefreshSkew;
+    }
+
+    // Exchange the refresh token for a new access token; concurrent callers share one call
+    refreshAccessToken() {
+        if (this.refreshPromise) return this.refreshPromise;
+
+        if (!this.refreshToken) {
+            return Promise.reject(new Error('No refresh token available'));
+        }
+
+        this.refreshPromise = this.request(this.refreshEndpoint, {
+            method: 'POST',
+            body: JSON.stringify({ refreshToken: this.refreshToken }),
+            skipAuthRefresh: true,
+            queueOffline: false
+        }).then(response => {
+            const token = response && (response.token || response.accessToken);
+            if (!token) {
+                throw new Error('Refresh response did not include a token');
+            }
+
+            this.setAuthToken(token);
+            if (response.refreshToken) {
+                this.setRefreshToken(response.refreshToken);
+            }
+            return token;
+        }).catch(error => {
+            this.setRefreshToken(null);
+            throw error;
+        }).finally(() => {
+            this.refreshPromise = null;
+        });
+
+        return this.refreshPromise;
+    }
+
+    // Try a silent refresh first, then ask the user to sign in again
+    async recoverSession(rejectedToken) {
+        // Another request already renewed the token after this one was sent
+        if (this.authToken && this.authToken !== rejectedToken && !this.isTokenExpiring()) {
+            return true;
+        }
+
+        if (this.refreshToken) {
+            try {
+                await this.refreshAccessToken();
+                return true;
+            } catch (e) {
+                // Fall through to the login flow
+            }
+        }
+
+        return this.handleUnauthorized();
     }
 
     getAuthHeaders() {
@@ -58,102 +203,713 @@ class API {
         return headers;
     }
 
-    // HTTP methods
-    async request(endpoint, options = {}) {
-        const url = endpoint.startsWith('http') ? endpoint : `${this.baseURL}${endpoint}`;
-        const config = {
-            headers: this.getAuthHeaders(),
-            ...options
-        };
+    // Interceptors
+    registerDefaultInterceptors() {
+        this.useInterceptor('request', (ctx) => {
+            ctx.config.headers = { ...this.defaultHeaders, ...ctx.config.headers };
 
-        // Add auth token to headers if available
-        if (this.authToken) {
-            config.headers['Authorization'] = `Bearer ${this.authToken}`;
-        }
+            // Let the browser set the multipart boundary for FormData bodies
+            if (ctx.config.body instanceof FormData) {
+                delete ctx.config.headers['Content-Type'];
+            }
+        }, { name: 'defaultHeaders', priority: -100 });
+
+        this.useInterceptor('request', async (ctx) => {
+            if (ctx.options.skipAuthRefresh) return;
+
+            // Hold outgoing requests while the session is being renewed
+            if (this.refreshPromise || this.loginPromise) {
+                await Promise.resolve(this.refreshPromise || this.loginPromise).catch(() => {});
+            } else if (this.refreshToken && this.isTokenExpiring()) {
+                await this.refreshAccessToken().catch(() => {
+                    // Send anyway; a 401 will start the login flow
+                });
+            }
+        }, { name: 'authRefresh', priority: -95 });
 
-        try {
-            const response = await fetch(url, config);
+        this.useInterceptor('request', (ctx) => {
+            ctx.meta.authToken = this.authToken;
+            if (this.authToken && !ctx.config.headers['Authorization']) {
+                ctx.config.headers['Authorization'] = `Bearer ${this.authToken}`;
+            }
+        }, { name: 'auth', priority: -90 });
+
+        this.useInterceptor('request', async (ctx) => {
+            await this.rateLimiter.acquire(ctx.url);
+        }, { name: 'rateLimit', priority: -70 });
 
-            // Handle different response types
-            if (!response.ok) {
-                throw await this.handleError(response);
+        this.useInterceptor('response', async (ctx) => {
+            if (!ctx.response.ok) {
+                throw await this.handleError(ctx.response);
             }
+        }, { name: 'status', priority: -100 });
 
-            const contentType = response.headers.get('content-type');
+        this.useInterceptor('response', async (ctx) => {
+            if (ctx.data !== undefined) return;
+
+            const contentType = ctx.response.headers.get('content-type');
             if (contentType && contentType.includes('application/json')) {
-                return await response.json();
+                ctx.data = await ctx.response.json();
             } else {
-                return await response.text();
+                ctx.data = await ctx.response.text();
             }
+        }, { name: 'parse', priority: -90 });
+
+        this.useInterceptor('error', async (ctx) => {
+            if (!this.shouldRetryRateLimited(ctx)) return;
+
+            const attempt = ctx.options.rateLimitAttempt || 0;
+            // Only a delay the server actually sent; otherwise getRetryDelay backs off exponentially
+            const retryAfter = ctx.error.retryAfter !== null && ctx.error.retryAfter !== undefined
+                ? ctx.error.retryAfter * 1000
+                : null;
+            const delay = RateLimiter.getRetryDelay(attempt, retryAfter);
+
+            this.rateLimiter.block(ctx.url, delay);
+            window.dispatchEvent(new CustomEvent('apiRateLimited', {
+                detail: {
+                    endpoint: ctx.endpoint,
+                    status: ctx.error.status,
+                    retryAfter: delay,
+                    retryAt: Date.now() + delay,
+                    attempt: attempt + 1
+                }
+            }));
 
-        } catch (error) {
-            // Queue request if offline
-            if (!this.isOnline && options.queueOffline !== false) {
-                return this.queueRequest(endpoint, config);
+            // Waiting out the server's delay shouldn't count against the request timeout
+            clearTimeout(ctx.timer);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            ctx.respondWith(await this.replayRequest(ctx, { rateLimitAttempt: attempt + 1 }));
+        }, { name: 'rateLimitRetry', priority: 40 });
+
+        this.useInterceptor('error', async (ctx) => {
+            if (ctx.error.status !== 401 || ctx.options.silent || ctx.options.skipAuthRefresh || ctx.options.authRetried) return;
+
+            ctx.meta.authHandled = true;
+            if (await this.recoverSession(ctx.meta.authToken)) {
+                ctx.respondWith(await this.replayRequest(ctx, { authRetried: true }));
             }
+        }, { name: 'authRefresh', priority: 50 });
 
-            throw error;
+        this.useInterceptor('error', (ctx) => {
+            // Silent requests (background telemetry) never show UI; their callers handle failures
+            if (ctx.options.silent) return;
+
+            // 401s from auth endpoints or already sent through the login flow are the caller's to report
+            if (ctx.error.status === 401 && (ctx.options.skipAuthRefresh || ctx.meta.authHandled)) return;
+
+            if (ctx.error.status) {
+                this.handleErrorStatus(ctx.error);
+            }
+        }, { name: 'statusHandlers', priority: 100 });
+
+        this.useInterceptor('error', (ctx) => {
+            // Queue request if offline (but never resurrect a cancelled one)
+            if (!this.isOnline && ctx.options.queueOffline !== false && !ctx.error.cancelled) {
+                ctx.respondWith(this.queueRequest(ctx.endpoint, ctx.options));
+            }
+        }, { name: 'offlineQueue', priority: 110 });
+    }
+
+    /**
+     * GETs made with { cache: true } or { cache: { ttl, tags, staleWhileRevalidate } }
+     * are answered from this.cache while fresh, served stale while revalidating in the
+     * background, and otherwise sent with If-None-Match / If-Modified-Since validators.
+     */
+    registerCacheInterceptors() {
+        this.useInterceptor('request', (ctx) => {
+            const cacheOptions = this.getCacheOptions(ctx);
+            if (!cacheOptions) return;
+
+            const entry = this.cache.get(ctx.url);
+            ctx.meta.cacheEntry = entry;
+
+            if (!cacheOptions.revalidate) {
+                if (this.cache.isFresh(entry)) {
+                    this.cache.record('hits');
+                    ctx.respondWith(entry.data);
+                    return;
+                }
+
+                if (this.cache.isStale(entry)) {
+                    this.cache.record('staleHits');
+                    this.revalidate(ctx);
+                    ctx.respondWith(entry.data);
+                    return;
+                }
+
+                this.cache.record('misses');
+            }
+
+            if (entry) {
+                if (entry.etag) ctx.config.headers['If-None-Match'] = entry.etag;
+                if (entry.lastModified) ctx.config.headers['If-Modified-Since'] = entry.lastModified;
+            }
+        }, { name: 'cache', priority: -80 });
+
+        // Runs before the status check, which would otherwise treat 304 as an error
+        this.useInterceptor('response', (ctx) => {
+            const entry = ctx.meta.cacheEntry;
+            if (ctx.response.status !== 304 || !entry) return;
+
+            this.cache.record('notModified');
+            this.cache.refresh(ctx.url, this.getCacheLifetime(ctx));
+            ctx.respondWith(entry.data);
+        }, { name: 'cacheNotModified', priority: -110 });
+
+        // Runs last so the cache stores what callers actually receive
+        this.useInterceptor('response', (ctx) => {
+            const cacheOptions = this.getCacheOptions(ctx);
+            if (!cacheOptions) return;
+
+            const control = ResponseCache.parseCacheControl(ctx.response.headers.get('cache-control'));
+            if (control.noStore) return;
+
+            this.cache.set(ctx.url, ctx.data, {
+                ...this.getCacheLifetime(ctx),
+                tags: cacheOptions.tags || [],
+                etag: ctx.response.headers.get('etag'),
+                lastModified: ctx.response.headers.get('last-modified')
+            });
+
+            if (cacheOptions.revalidate) {
+                window.dispatchEvent(new CustomEvent('apiCacheRevalidated', {
+                    detail: { url: ctx.url, data: ctx.data }
+                }));
+            }
+        }, { name: 'cacheStore', priority: 1000 });
+    }
+
+    getCacheOptions(ctx) {
+        const cacheOption = ctx.options.cache;
+        if (!cacheOption || (ctx.config.method || 'GET').toUpperCase() !== 'GET') return null;
+        return cacheOption === true ? {} : cacheOption;
+    }
+
+    getCacheLifetime(ctx) {
+        const cacheOptions = this.getCacheOptions(ctx) || {};
+        const control = ResponseCache.parseCacheControl(ctx.response.headers.get('cache-control'));
+
+        return {
+            // no-cache responses may be stored but must be revalidated before reuse
+            ttl: control.noCache ? 0 : (control.maxAge !== null ? control.maxAge : cacheOptions.ttl),
+            staleWhileRevalidate: control.staleWhileRevalidate !== null
+                ? control.staleWhileRevalidate
+                : (cacheOptions.staleWhileRevalidate || 0)
+        };
+    }
+
+    revalidate(ctx) {
+        this.cache.record('revalidations');
+        this.replayRequest(ctx, {
+            cache: { ...this.getCacheOptions(ctx), revalidate: true },
+            queueOffline: false
+        }).catch(() => {
+            // Keep serving the stale copy; the next read will try again
+        });
+    }
+
+    // 429s were never processed; 503s are only replayed when repeating the request is safe
+    shouldRetryRateLimited(ctx) {
+        const { status } = ctx.error;
+        if (status !== 429 && status !== 503) return false;
+        if (ctx.options.silent || ctx.options.retryRateLimited === false) return false;
+        if ((ctx.options.rateLimitAttempt || 0) >= this.maxRateLimitRetries) return false;
+
+        const method = (ctx.config.method || 'GET').toUpperCase();
+        return status === 429 ||
+            ['GET', 'HEAD', 'PUT', 'DELETE'].includes(method) ||
+            !!ctx.config.headers['Idempotency-Key'];
+    }
+
+    /**
+     * Add an interceptor to the request, response or error stage.
+     * Interceptors run in ascending priority order (insertion order for ties),
+     * may be async, and receive the request context. Calling ctx.respondWith(data)
+     * settles the request with data and skips the rest of the current stage;
+     * in the request stage it also skips the network call and the response stage.
+     * Returns a function that removes the interceptor.
+     */
+    useInterceptor(stage, handler, options = {}) {
+        if (!this.interceptors[stage]) {
+            throw new Error(`Unknown interceptor stage: ${stage}`);
+        }
+
+        const interceptor = {
+            handler,
+            name: options.name || null,
+            priority: options.priority || 0,
+            order: this.interceptorOrder++
+        };
+
+        this.interceptors[stage].push(interceptor);
+        this.interceptors[stage].sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+        return () => this.removeInterceptor(stage, handler);
+    }
+
+    removeInterceptor(stage, handlerOrName) {
+        if (!this.interceptors[stage]) return;
+
+        this.interceptors[stage] = this.interceptors[stage].filter(interceptor =>
+            interceptor.handler !== handlerOrName && interceptor.name !== handlerOrName
+        );
+    }
+
+    async runInterceptors(stage, ctx) {
+        ctx.stage = stage;
+
+        for (const interceptor of [...this.interceptors[stage]]) {
+            await interceptor.handler(ctx);
+            if (ctx.settled) break;
         }
     }
 
-    async get(endpoint, params = {}) {
-        const url = new URL(endpoint.startsWith('http') ? endpoint : `${this.baseURL}${endpoint}`);
+    createRequestContext(endpoint, options = {}) {
+        const ctx = {
+            endpoint,
+            url: this.buildURL(endpoint),
+            options,
+            config: {
+                ...options,
+                headers: { ...(options.headers || {}) }
+            },
+            response: null,
+            data: undefined,
+            error: null,
+            settled: false,
+            stage: null,
+            meta: {},
+            respondWith: (data) => {
+                ctx.data = data;
+                ctx.settled = true;
+            }
+        };
+
+        return ctx;
+    }
+
+    buildURL(endpoint, params = {}) {
+        const url = new URL(endpoint.startsWith('http') ? endpoint : `${this.baseURL}${endpoint}`, window.location.href);
         Object.keys(params).forEach(key => {
             if (params[key] !== null && params[key] !== undefined) {
                 url.searchParams.append(key, params[key]);
             }
         });
 
-        return this.request(url.toString(), { method: 'GET' });
+        return url.toString();
+    }
+
+    // Cancellation and de-duplication
+    createAbortError(reason, message) {
+        return reason === 'timeout'
+            ? new TimeoutError(message)
+            : new AbortError(message, { reason });
+    }
+
+    /**
+     * Start a request and return { promise, cancel } so the caller can abort it.
+     * Options (in addition to fetch options):
+     *   timeout - milliseconds before the request fails with a TimeoutError (0 disables)
+     *   channel - name shared by related calls; starting a new one cancels the previous ("latest wins")
+     *   dedupe  - set to false to opt a GET out of sharing an identical in-flight request
+     *   signal  - external AbortSignal that also cancels the request
+     */
+    createRequest(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const dedupeKey = method === 'GET' && options.dedupe !== false ? this.buildURL(endpoint) : null;
+
+        if (options.channel) {
+            this.cancelChannel(options.channel, 'superseded');
+        }
+
+        let shared = dedupeKey ? this.inFlight.get(dedupeKey) : null;
+        if (!shared) {
+            shared = this.startRequest(endpoint, options);
+
+            if (dedupeKey) {
+                this.inFlight.set(dedupeKey, shared);
+                shared.promise.then(() => {}, () => {}).finally(() => {
+                    if (this.inFlight.get(dedupeKey) === shared) {
+                        this.inFlight.delete(dedupeKey);
+                    }
+                });
+            }
+        }
+
+        const handle = this.subscribe(shared);
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                handle.cancel();
+            } else {
+                options.signal.addEventListener('abort', () => handle.cancel(), { once: true });
+            }
+        }
+
+        if (options.channel) {
+            this.channels.set(options.channel, handle);
+            handle.promise.then(() => {}, () => {}).finally(() => {
+                if (this.channels.get(options.channel) === handle) {
+                    this.channels.delete(options.channel);
+                }
+            });
+        }
+
+        return handle;
+    }
+
+    startRequest(endpoint, options) {
+        const controller = new AbortController();
+        const ctx = this.createRequestContext(endpoint, options);
+        const timeout = options.timeout !== undefined ? options.timeout : this.defaultTimeout;
+
+        ctx.config.signal = controller.signal;
+        ctx.abort = (reason = 'cancelled') => {
+            if (!controller.signal.aborted) {
+                controller.abort(this.createAbortError(reason));
+            }
+        };
+
+        if (timeout > 0) {
+            ctx.timer = setTimeout(() => ctx.abort('timeout'), timeout);
+        }
+
+        const aborted = new Promise((resolve, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+        aborted.catch(() => {});
+
+        return {
+            ctx,
+            subscribers: 0,
+            promise: Promise.race([this.executeRequest(ctx), aborted])
+        };
+    }
+
+    subscribe(shared) {
+        let cancelSelf;
+        let settled = false;
+        shared.subscribers++;
+
+        const promise = new Promise((resolve, reject) => {
+            cancelSelf = reject;
+            shared.promise.then(resolve, reject);
+        }).finally(() => {
+            if (!settled) {
+                settled = true;
+                shared.subscribers--;
+            }
+        });
+
+        const cancel = (reason = 'cancelled') => {
+            if (settled) return;
+            settled = true;
+            shared.subscribers--;
+            cancelSelf(this.createAbortError(reason));
+
+            // Only abort the network call once nobody is waiting on it
+            if (shared.subscribers <= 0) {
+                shared.ctx.abort(reason);
+            }
+        };
+
+        return { promise, cancel };
+    }
+
+    cancelChannel(channel, reason = 'cancelled') {
+        const handle = this.channels.get(channel);
+        if (handle) {
+            this.channels.delete(channel);
+            handle.cancel(reason);
+        }
+    }
+
+    async executeRequest(ctx) {
+        try {
+            await this.runInterceptors('request', ctx);
+
+            if (!ctx.settled) {
+                ctx.response = await this.send(ctx);
+                await this.runInterceptors('response', ctx);
+            }
+
+            return ctx.data;
+        } catch (error) {
+            // fetch reports aborts generically; surface the timeout/cancel reason instead
+            if (ctx.config.signal && ctx.config.signal.aborted) {
+                ctx.error = ctx.config.signal.reason;
+            } else if (error instanceof APIError) {
+                ctx.error = error;
+            } else if (!ctx.response) {
+                ctx.error = new NetworkError(undefined, { cause: error, endpoint: ctx.url });
+            } else {
+                ctx.error = error;
+            }
+            ctx.settled = false;
+
+            await this.runInterceptors('error', ctx);
+
+            if (ctx.settled) {
+                return ctx.data;
+            }
+
+            throw ctx.error;
+        } finally {
+            clearTimeout(ctx.timer);
+        }
+    }
+
+    // Swap the transport under the request pipeline; interceptors, caching and errors still apply
+    useAdapter(adapter) {
+        this.adapter = adapter;
+        this.cache.clear();
+        this.graphql.cache.clear();
     }
 
-    async post(endpoint, data = {}) {
+    // Network transport for a prepared request
+    send(ctx) {
+        if (this.adapter) {
+            return this.adapter.send(ctx.url, ctx.config);
+        }
+        if (ctx.options.onUploadProgress) {
+            return this.sendWithProgress(ctx.url, ctx.config, ctx.options.onUploadProgress);
+        }
+        return fetch(ctx.url, ctx.config);
+    }
+
+    // fetch can't report upload progress, so progress-tracked requests go over XHR
+    sendWithProgress(url, config, onUploadProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(config.method || 'GET', url);
+
+            Object.entries(config.headers || {}).forEach(([name, value]) => {
+                xhr.setRequestHeader(name, value);
+            });
+
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) {
+                    onUploadProgress({ loaded: e.loaded, total: e.total });
+                }
+            };
+
+            xhr.onload = () => {
+                const headers = new Headers();
+                xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+                    const index = line.indexOf(':');
+                    if (index > 0) {
+                        headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+                    }
+                });
+
+                const hasBody = ![204, 205, 304].includes(xhr.status);
+                resolve(new Response(hasBody ? xhr.responseText : null, {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers
+                }));
+            };
+            xhr.onerror = () => reject(new TypeError('Network request failed'));
+            xhr.onabort = () => reject(new TypeError('Request aborted'));
+
+            if (config.signal) {
+                config.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+
+            xhr.send(config.body);
+        });
+    }
+
+    /**
+     * Send a request again from within its own pipeline. The original is still the
+     * in-flight request for its URL and the current holder of its channel, so the
+     * replay must not de-duplicate against it or supersede it.
+     */
+    replayRequest(ctx, overrides = {}) {
+        return this.request(ctx.endpoint, {
+            ...ctx.options,
+            channel: undefined,
+            signal: undefined,
+            dedupe: false,
+            ...overrides
+        });
+    }
+
+    // HTTP methods
+    async request(endpoint, options = {}) {
+        return this.createRequest(endpoint, options).promise;
+    }
+
+    async get(endpoint, params = {}, options = {}) {
+        return this.request(this.buildURL(endpoint, params), { ...options, method: 'GET' });
+    }
+
+    async post(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: JSON.stringify(data)
         });
     }
 
-    async put(endpoint, data = {}) {
+    async put(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: JSON.stringify(data)
         });
     }
 
-    async patch(endpoint, data = {}) {
+    async patch(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PATCH',
             body: JSON.stringify(data)
         });
     }
 
-    async delete(endpoint) {
-        return this.request(endpoint, { method: 'DELETE' });
+    async delete(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE' });
+    }
+
+    // GraphQL - persisted queries, batching and the normalized cache live in graphql.js
+    async query(document, variables = {}, options = {}) {
+        return this.graphql.query(document, variables, options);
+    }
+
+    async mutate(document, variables = {}, options = {}) {
+        return this.graphql.mutate(document, variables, options);
     }
 
-    // File upload
-    async uploadFile(endpoint, file, fieldName = 'file', additionalData = {}) {
-        const formData = new FormData();
-        formData.append(fieldName, file);
+    // Returns a function that stops watching
+    watchQuery(document, variables = {}, callback, options = {}) {
+        return this.graphql.watchQuery(document, variables, callback, options);
+    }
 
-        Object.keys(additionalData).forEach(key => {
-            formData.append(key, additionalData[key]);
+    // File upload - validation, image preparation, progress and chunking live in uploader.js
+    async uploadFile(endpoint, file, fieldName = 'file', additionalData = {}, options = {}) {
+        return this.uploader.upload(endpoint, file, {
+            ...options,
+            fieldName,
+            data: additionalData
         });
+    }
 
-        const headers = { ...this.getAuthHeaders() };
-        delete headers['Content-Type']; // Let browser set multipart/form-data
+    // Resolves with one { name, status, progress, result, error } entry per file
+    async uploadFiles(endpoint, files, options = {}) {
+        return this.uploader.uploadBatch(endpoint, files, options);
+    }
 
-        return this.request(endpoint, {
-            method: 'POST',
-            body: formData,
-            headers
+    /**
+     * Submit a form (or an action + FormData pair). Honours the form's method, action
+     * (or data-endpoint, relative to baseURL) and enctype: multipart when the form asks
+     * for it or contains files, JSON otherwise. Resolves with the server response, or
+     * { queued: true } when saved to the offline queue. Field errors on the rejected
+     * ValidationError are keyed by the form's own field names.
+     */
+    async submitForm(formOrAction, formData = null, options = {}) {
+        const form = typeof HTMLFormElement !== 'undefined' && formOrAction instanceof HTMLFormElement
+            ? formOrAction
+            : null;
+
+        const endpoint = form ? (form.dataset.endpoint || form.action) : formOrAction;
+        const method = (options.method || (form && form.getAttribute('method')) || 'POST').toUpperCase();
+        const enctype = options.enctype || (form && form.getAttribute('enctype')) || null;
+        const data = formData || new FormData(form);
+        const fieldNames = Array.from(new Set(Array.from(data.keys())));
+
+        const requestOptions = { ...options };
+        delete requestOptions.enctype;
+
+        try {
+            if (method === 'GET') {
+                // Keep repeated fields as repeated query parameters, like a native GET form
+                const query = new URLSearchParams();
+                for (const [name, value] of data.entries()) {
+                    if (typeof value === 'string') {
+                        query.append(name, value);
+                    }
+                }
+                return await this.get(`${endpoint}${endpoint.includes('?') ? '&' : '?'}${query}`, {}, requestOptions);
+            }
+
+            const multipart = enctype === 'multipart/form-data' || this.formHasFiles(data);
+            requestOptions.method = method;
+            requestOptions.body = multipart ? data : JSON.stringify(this.serializeForm(data));
+
+            // Don't hold the form hostage until we're back online
+            if (!this.isOnline && requestOptions.queueOffline !== false) {
+                const { entry } = await this.offlineQueue.enqueue(endpoint, requestOptions);
+                return { queued: true, entryId: entry.id, persisted: entry.persist };
+            }
+
+            return await this.request(endpoint, requestOptions);
+        } catch (error) {
+            if (error instanceof APIError && error.hasFieldErrors()) {
+                error.fieldErrors = this.mapFieldErrors(error.fieldErrors, fieldNames);
+            }
+            throw error;
+        }
+    }
+
+    formHasFiles(formData) {
+        return Array.from(formData.values()).some(value => value instanceof File && (value.size > 0 || value.name));
+    }
+
+    /**
+     * FormData -> plain object. Repeated names and names ending in [] become arrays;
+     * bracketed names nest: address[city] -> { address: { city } }. Empty file inputs are skipped.
+     */
+    serializeForm(formData) {
+        const result = {};
+
+        for (const [name, value] of formData.entries()) {
+            if (value instanceof File && !value.name && value.size === 0) continue;
+
+            const isList = name.endsWith('[]');
+            const path = (isList ? name.slice(0, -2) : name).split(/\[|\]\[|\]/).filter(Boolean);
+            const key = path.pop();
+
+            let target = result;
+            path.forEach(segment => {
+                if (typeof target[segment] !== 'object' || target[segment] === null) {
+                    target[segment] = {};
+                }
+                target = target[segment];
+            });
+
+            if (isList) {
+                target[key] = (target[key] || []).concat(value);
+            } else if (key in target) {
+                target[key] = [].concat(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    // Server paths such as "address.city" or "tags.0" -> the form's "address[city]" / "tags[]"
+    mapFieldErrors(fieldErrors, fieldNames) {
+        const mapped = {};
+
+        Object.keys(fieldErrors).forEach(path => {
+            const segments = path.split(/\.|\[|\]/).filter(Boolean);
+            const withoutIndexes = segments.filter(segment => !/^\d+$/.test(segment));
+            const bracketed = withoutIndexes[0] + withoutIndexes.slice(1).map(segment => `[${segment}]`).join('');
+
+            const name = [path, bracketed, `${bracketed}[]`].find(candidate => fieldNames.includes(candidate)) || path;
+            mapped[name] = (mapped[name] || []).concat(fieldErrors[path]);
         });
+
+        return mapped;
     }
 
     // Error handling
     async handleError(response) {
-        let errorMessage = 'An error occurred';
+        let errorMessage = '';
         let errorData = {};
 
         try {
@@ -169,13 +925,16 @@ class API {
             errorMessage = response.statusText || errorMessage;
         }
 
-        const error = new Error(errorMessage);
-        error.status = response.status;
-        error.statusText = response.statusText;
-        error.data = errorData;
+        const retryAfter = RateLimiter.parseRetryAfter(response.headers.get('retry-after'), errorData);
 
+        return APIError.fromResponse(response, errorData, errorMessage, {
+            retryAfter: retryAfter !== null ? retryAfter / 1000 : undefined
+        });
+    }
+
+    handleErrorStatus(error) {
         // Handle specific error codes
-        switch (response.status) {
+        switch (error.status) {
             case 401:
                 this.handleUnauthorized();
                 break;
@@ -183,26 +942,76 @@ class API {
                 this.handleForbidden();
                 break;
             case 429:
-                this.handleRateLimit(errorData);
+                this.handleRateLimit(error);
                 break;
             case 500:
                 this.handleServerError();
                 break;
         }
-
-        return error;
     }
 
     handleUnauthorized() {
-        // Clear auth token and redirect to login
+        // Clear the rejected token and let the user sign in again without leaving the page
         this.setAuthToken(null);
-        if (typeof Notifications !== 'undefined') {
-            this.notifications.warning('Your session has expired. Please log in again.');
+        this.setRefreshToken(null);
+        return this.requestLogin();
+    }
+
+    // Resolves true once the user has signed in again, false if they gave up
+    requestLogin() {
+        if (this.loginPromise) return this.loginPromise;
+
+        if (!this.modal) {
+            // No modal available: fall back to the login page, coming back here afterwards
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.warning('Your session has expired. Please log in again.');
+            }
+            setTimeout(() => {
+                window.location.href = `/login?returnTo=${encodeURIComponent(window.location.href)}`;
+            }, 2000);
+            return Promise.resolve(false);
+        }
+
+        this.loginPromise = this.showLoginModal().finally(() => {
+            this.loginPromise = null;
+        });
+
+        return this.loginPromise;
+    }
+
+    async showLoginModal() {
+        const fields = `
+            <p>Your session has expired. Sign in to continue where you left off.</p>
+            <div class="form-group">
+                <label for="session-login-email">Email Address</label>
+                <input type="email" id="session-login-email" name="email" class="form-input" required>
+            </div>
+            <div class="form-group">
+                <label for="session-login-password">Password</label>
+                <input type="password" id="session-login-password" name="password" class="form-input" required>
+            </div>
+        `;
+
+        for (;;) {
+            const formData = await this.modal.showForm(fields, {
+                title: 'Sign in',
+                submitText: 'Sign in'
+            });
+
+            if (!formData) return false;
+
+            try {
+                await this.login({
+                    email: formData.get('email'),
+                    password: formData.get('password')
+                });
+                return true;
+            } catch (error) {
+                if (typeof Notifications !== 'undefined') {
+                    this.notifications.error(window.Utils.escapeHTML(error.message || 'Sign in failed. Please try again.'));
+                }
+            }
         }
-        // Redirect to login page after a delay
-        setTimeout(() => {
-            window.location.href = '/login';
-        }, 2000);
     }
 
     handleForbidden() {
@@ -211,10 +1020,12 @@ class API {
         }
     }
 
-    handleRateLimit(data) {
-        const retryAfter = data.retry_after || 60;
+    handleRateLimit(error) {
         if (typeof Notifications !== 'undefined') {
-            this.notifications.warning(`Too many requests. Please wait ${retryAfter} seconds.`);
+            const wait = error.retryAfter !== null && error.retryAfter !== undefined
+                ? `${Math.ceil(error.retryAfter)} seconds`
+                : 'a moment';
+            this.notifications.warning(`Too many requests. Please wait ${wait}.`);
         }
     }
 
@@ -225,50 +1036,52 @@ class API {
     }
 
     // Request queue for offline handling
-    queueRequest(endpoint, config) {
-        return new Promise((resolve, reject) => {
-            this.requestQueue.push({
-                endpoint,
-                config,
-                resolve,
-                reject,
-                timestamp: Date.now()
-            });
+    async queueRequest(endpoint, options = {}) {
+        const { entry, promise } = await this.offlineQueue.enqueue(endpoint, options);
 
-            if (typeof Notifications !== 'undefined') {
-                this.notifications.info('Request queued. Will retry when online.');
-            }
-        });
+        if (typeof Notifications !== 'undefined') {
+            this.notifications.info(entry.persist
+                ? 'Request saved. It will be sent when you are back online.'
+                : 'Request queued. Will retry when online.');
+        }
+
+        return promise;
     }
 
     async processQueue() {
-        if (!this.isOnline || this.requestQueue.length === 0) return;
-
-        const queue = [...this.requestQueue];
-        this.requestQueue = [];
+        if (!this.isOnline) return;
+
+        await this.offlineQueue.replay((entry) => this.request(entry.endpoint, {
+            method: entry.method,
+            headers: {
+                ...entry.headers,
+                'Idempotency-Key': entry.idempotencyKey
+            },
+            body: entry.body === null ? undefined : entry.body,
+            dedupe: false,
+            queueOffline: false
+        }));
+    }
 
-        for (const item of queue) {
-            try {
-                // Check if request is not too old (e.g., 5 minutes)
-                if (Date.now() - item.timestamp < 5 * 60 * 1000) {
-                    const result = await this.request(item.endpoint, item.config);
-                    item.resolve(result);
-                } else {
-                    item.reject(new Error('Request expired'));
-                }
-            } catch (error) {
-                item.reject(error);
-            }
-        }
+    getOfflineQueueStatus() {
+        return this.offlineQueue.getStatus();
     }
 
     // Specific API endpoints
     async login(credentials) {
         try {
-            const response = await this.post('/auth/login', credentials);
+            const response = await this.post('/auth/login', credentials, { skipAuthRefresh: true });
             if (response.token) {
                 this.setAuthToken(response.token);
             }
+            if (response.refreshToken) {
+                this.setRefreshToken(response.refreshToken);
+            }
+
+            // Lets the cart merge what the shopper added before signing in
+            window.dispatchEvent(new CustomEvent('authChanged', {
+                detail: { loggedIn: true, user: response.user || null }
+            }));
             return response;
         } catch (error) {
             throw error;
@@ -277,9 +1090,11 @@ class API {
 
     async logout() {
         try {
-            await this.post('/auth/logout');
+            await this.post('/auth/logout', {}, { skipAuthRefresh: true });
         } finally {
             this.setAuthToken(null);
+            this.setRefreshToken(null);
+            window.dispatchEvent(new CustomEvent('authChanged', { detail: { loggedIn: false, user: null } }));
             window.location.href = '/';
         }
     }
@@ -298,32 +1113,53 @@ class API {
 
     // Products
     async getProducts(params = {}) {
-        return this.get('/products', params);
+        return this.get('/products', params, {
+            cache: { tags: ['products'], staleWhileRevalidate: 60 * 1000 }
+        });
     }
 
-    async getProduct(id) {
-        return this.get(`/products/${id}`);
+    // { fresh: true } skips the cached copy, e.g. to check price and stock before checkout
+    async getProduct(id, options = {}) {
+        return this.get(`/products/${id}`, {}, {
+            cache: { tags: ['products', `product:${id}`], staleWhileRevalidate: 60 * 1000, revalidate: !!options.fresh }
+        });
     }
 
     async createProduct(productData) {
-        return this.post('/products', productData);
+        const result = await this.post('/products', productData);
+        this.cache.invalidateTags(['products']);
+        return result;
     }
 
     async updateProduct(id, productData) {
-        return this.put(`/products/${id}`, productData);
+        const result = await this.put(`/products/${id}`, productData);
+        this.cache.invalidateTags(['products']);
+        return result;
     }
 
     async deleteProduct(id) {
-        return this.delete(`/products/${id}`);
+        const result = await this.delete(`/products/${id}`);
+        this.cache.invalidateTags(['products']);
+        return result;
     }
 
     // Search
-    async search(query, filters = {}) {
-        return this.get('/search', { q: query, ...filters });
+    async search(query, filters = {}, options = {}) {
+        return this.get('/search', { q: query, ...filters }, options);
     }
 
-    async getSearchSuggestions(query) {
-        return this.get('/search/suggestions', { q: query });
+    async getTrendingSearches() {
+        return this.get('/search/trending', {}, {
+            cache: { tags: ['search'], ttl: 10 * 60 * 1000 }
+        });
+    }
+
+    async getSearchSuggestions(query, options = {}) {
+        return this.get('/search/suggestions', { q: query }, {
+            channel: 'search-suggestions',
+            timeout: 5000,
+            ...options
+        });
     }
 
     // Cart
@@ -331,24 +1167,48 @@ class API {
         return this.get('/cart');
     }
 
-    async addToCart(productId, quantity = 1, options = {}) {
-        return this.post('/cart/items', { productId, quantity, ...options });
+    async addToCart(productId, quantity = 1, options = {}, personalization = null) {
+        return this.post('/cart/items', { productId, quantity, options, personalization });
     }
 
     async updateCartItem(itemId, quantity) {
-        return this.put(`/cart/items/${itemId}`, { quantity });
+        return this.put(`/cart/items/${encodeURIComponent(itemId)}`, { quantity });
     }
 
     async removeCartItem(itemId) {
-        return this.delete(`/cart/items/${itemId}`);
+        return this.delete(`/cart/items/${encodeURIComponent(itemId)}`);
+    }
+
+    // Fold a guest cart's lines into the signed-in account's cart ('sum', 'max', 'guest' or 'account')
+    async mergeCart(items, strategy = 'sum') {
+        return this.post('/cart/merge', { items, strategy });
     }
 
     async clearCart() {
         return this.delete('/cart');
     }
 
-    async applyCoupon(code) {
-        return this.post('/cart/coupon', { code });
+    // context ({ subtotal, items }) lets the server check the code against a guest cart it hasn't seen
+    async applyCoupon(code, context = {}) {
+        return this.post('/cart/coupon', { code, ...context }, { queueOffline: false });
+    }
+
+    async removeCoupon(code) {
+        return this.delete(`/cart/coupon/${encodeURIComponent(code)}`);
+    }
+
+    async getPromotions() {
+        return this.get('/promotions', {}, {
+            cache: { tags: ['promotions'], ttl: 5 * 60 * 1000 }
+        });
+    }
+
+    // Currency
+    // { base: 'USD', rates: { EUR: 0.92, JPY: 150, ... }, updatedAt }
+    async getExchangeRates() {
+        return this.get('/exchange-rates', {}, {
+            cache: { tags: ['exchange-rates'], ttl: 60 * 60 * 1000 }
+        });
     }
 
     // Orders
@@ -364,6 +1224,10 @@ class API {
         return this.get(`/orders/${id}`);
     }
 
+    async getOrderTracking(orderNumber) {
+        return this.get(`/orders/${encodeURIComponent(orderNumber)}/tracking`);
+    }
+
     // Favorites
     async getFavorites() {
         return this.get('/favorites');
@@ -383,19 +1247,27 @@ class API {
 
     // Reviews
     async getProductReviews(productId, params = {}) {
-        return this.get(`/products/${productId}/reviews`, params);
+        return this.get(`/products/${productId}/reviews`, params, {
+            cache: { tags: ['reviews'] }
+        });
     }
 
     async createReview(productId, reviewData) {
-        return this.post(`/products/${productId}/reviews`, reviewData);
+        const result = await this.post(`/products/${productId}/reviews`, reviewData);
+        this.cache.invalidateTags(['reviews']);
+        return result;
     }
 
     async updateReview(reviewId, reviewData) {
-        return this.put(`/reviews/${reviewId}`, reviewData);
+        const result = await this.put(`/reviews/${reviewId}`, reviewData);
+        this.cache.invalidateTags(['reviews']);
+        return result;
     }
 
     async deleteReview(reviewId) {
-        return this.delete(`/reviews/${reviewId}`);
+        const result = await this.delete(`/reviews/${reviewId}`);
+        this.cache.invalidateTags(['reviews']);
+        return result;
     }
 
     // Messages/Contact
@@ -404,59 +1276,42 @@ class API {
     }
 
     // File uploads
-    async uploadProductImage(productId, file) {
-        return this.uploadFile(`/products/${productId}/images`, file, 'image');
+    async uploadProductImage(productId, file, options = {}) {
+        return this.uploadFile(`/products/${productId}/images`, file, 'image', {}, {
+            rules: this.uploader.imageRules,
+            ...options
+        });
     }
 
-    async uploadAvatar(file) {
-        return this.uploadFile('/auth/avatar', file, 'avatar');
+    async uploadAvatar(file, options = {}) {
+        return this.uploadFile('/auth/avatar', file, 'avatar', {}, {
+            rules: { ...this.uploader.imageRules, maxSize: 10 * 1024 * 1024 },
+            image: { maxWidth: 512, maxHeight: 512 },
+            ...options
+        });
     }
 
-    // Analytics/Tracking
-    async trackEvent(eventName, eventData = {}) {
-        // Fire and forget - don't wait for response
-        this.post('/analytics/track', {
-            event: eventName,
-            data: eventData,
-            timestamp: new Date().toISOString(),
-            url: window.location.href,
-            userAgent: navigator.userAgent
-        }).catch(() => {
-            // Silently fail for analytics
+    // Reference photos for Custom Box orders
+    async uploadCustomBoxPhotos(files, options = {}) {
+        return this.uploadFiles('/custom-box/photos', files, {
+            fieldName: 'photo',
+            rules: this.uploader.imageRules,
+            ...options
         });
     }
 
+    // Analytics/Tracking - events are buffered and sent in batches by analytics.js
+    async trackEvent(eventName, eventData = {}) {
+        // Pages without analytics.js (order tracking) just don't record events
+        if (!window.Analytics) return null;
+        return window.Analytics.track(eventName, eventData);
+    }
+
     // Infinite scroll helper
     async loadMore(endpoint, page = 1, params = {}) {
         return this.get(endpoint, { page, ...params });
     }
 
-    // Cache management
-    cache = {
-        data: new Map(),
-        timestamps: new Map(),
-
-        set: (key, data, ttl = 5 * 60 * 1000) => { // 5 minutes default TTL
-            this.data.set(key, data);
-            this.timestamps.set(key, Date.now() + ttl);
-        },
-
-        get: (key) => {
-            if (this.timestamps.get(key) > Date.now()) {
-                return this.data.get(key);
-            } else {
-                this.data.delete(key);
-                this.timestamps.delete(key);
-                return null;
-            }
-        },
-
-        clear: () => {
-            this.data.clear();
-            this.timestamps.clear();
-        }
-    };
-
     // Retry mechanism
     async withRetry(fn, maxRetries = 3, delay = 1000) {
         let lastError;
@@ -467,14 +1322,29 @@ class API {
             } catch (error) {
                 lastError = error;
 
-                // Don't retry on 4xx errors (client errors)
-                if (error.status >= 400 && error.status < 500) {
+                if (error.cancelled) {
                     throw error;
                 }
 
-                // Wait before retrying
+                // Don't retry on 4xx errors (client errors) other than rate limiting
+                if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+                    throw error;
+                }
+
+                // Wait before retrying, honouring Retry-After when the server sent one
                 if (i < maxRetries - 1) {
-                    await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i)));
+                    const retryAfter = error.retryAfter !== null && error.retryAfter !== undefined
+                        ? error.retryAfter * 1000
+                        : null;
+                    const wait = RateLimiter.getRetryDelay(i, retryAfter, delay);
+
+                    if (retryAfter !== null) {
+                        window.dispatchEvent(new CustomEvent('apiRateLimited', {
+                            detail: { status: error.status, retryAfter: wait, retryAt: Date.now() + wait, attempt: i + 1 }
+                        }));
+                    }
+
+                    await new Promise(resolve => setTimeout(resolve, wait));
                 }
             }
         }
@@ -482,105 +1352,39 @@ class API {
         throw lastError;
     }
 
-    // WebSocket connection (for real-time features)
-    ws = null;
-    wsReconnectAttempts = 0;
-    maxReconnectAttempts = 5;
-
-    connectWebSocket(url) {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            return this.ws;
-        }
-
-        try {
-            this.ws = new WebSocket(url);
-
-            this.ws.onopen = () => {
-                console.log('WebSocket connected');
-                this.wsReconnectAttempts = 0;
-
-                // Send authentication if we have a token
-                if (this.authToken) {
-                    this.ws.send(JSON.stringify({
-                        type: 'auth',
-                        token: this.authToken
-                    }));
-                }
-            };
-
-            this.ws.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    this.handleWebSocketMessage(data);
-                } catch (error) {
-                    console.error('Failed to parse WebSocket message:', error);
-                }
-            };
-
-            this.ws.onclose = () => {
-                console.log('WebSocket disconnected');
-                this.attemptReconnect(url);
-            };
-
-            this.ws.onerror = (error) => {
-                console.error('WebSocket error:', error);
-            };
+    // Realtime connection - WebSocket, falling back to SSE or long polling
+    connectWebSocket(url, options = {}) {
+        return this.realtime.connect(url, options);
+    }
 
-            return this.ws;
-        } catch (error) {
-            console.error('Failed to connect to WebSocket:', error);
-            return null;
-        }
+    disconnectWebSocket() {
+        this.realtime.disconnect();
     }
 
-    attemptReconnect(url) {
-        if (this.wsReconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('Max WebSocket reconnect attempts reached');
-            return;
-        }
+    registerRealtimeHandlers() {
+        this.realtime.on('notification', (data) => {
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show(data.message, data.level || 'info');
+            }
+        });
 
-        this.wsReconnectAttempts++;
-        const delay = Math.min(1000 * Math.pow(2, this.wsReconnectAttempts), 30000);
+        // Components (Cart, product cards) register their own handlers for the data;
+        // the API only makes sure later reads don't serve stale copies
+        this.realtime.on('cart_updated', () => {
+            this.cache.invalidateTags(['cart']);
+        });
 
-        setTimeout(() => {
-            console.log(`Attempting WebSocket reconnect (${this.wsReconnectAttempts}/${this.maxReconnectAttempts})`);
-            this.connectWebSocket(url);
-        }, delay);
+        this.realtime.on('product_updated', (data) => {
+            this.cache.invalidateTags([`product:${data.productId}`]);
+        });
     }
 
     handleWebSocketMessage(data) {
-        switch (data.type) {
-            case 'notification':
-                if (typeof Notifications !== 'undefined') {
-                    this.notifications.show(data.message, data.level || 'info');
-                }
-                break;
-
-            case 'cart_updated':
-                if (typeof Cart !== 'undefined') {
-                    // Refresh cart data
-                    this.getCart().then(cartData => {
-                        // Update cart UI
-                        console.log('Cart updated via WebSocket:', cartData);
-                    });
-                }
-                break;
-
-            case 'product_updated':
-                // Handle product updates
-                console.log('Product updated:', data.productId);
-                break;
-
-            default:
-                // Dispatch custom event for other components to handle
-                window.dispatchEvent(new CustomEvent('websocketMessage', { detail: data }));
-        }
+        this.realtime.dispatch(data);
     }
 
     sendWebSocketMessage(type, data = {}) {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({ type, ...data }));
-        }
+        return this.realtime.send(type, data);
     }
 }
 
@@ -6,6 +6,19 @@ class Cart {
     constructor() {
         this.items = [];
         this.cartKey = 'sevenfish_cart';
+        this.couponKey = 'sevenfish_cart_coupon';
+        this.accountKey = 'sevenfish_cart_account';
+        this.removedKey = 'sevenfish_cart_removed';
+        this.coupons = []; // Validated promotions for the codes the shopper entered
+        this.removed = {}; // Line key -> when it was removed, so another tab's copy doesn't bring it back
+        this.removedRetention = 30 * 24 * 60 * 60 * 1000;
+        this.isAccountCart = false; // Lines mirror a signed-in shopper's server cart
+        this.syncQueue = Promise.resolve();
+        this.pendingSyncs = 0;
+        this.syncedCart = null;
+        this.syncError = null;
+        this.syncStale = false;
+        this.checkingOut = false; // Re-validating against the catalog before checkout
         this.init();
     }
 
@@ -13,6 +26,13 @@ class Cart {
         this.loadCart();
         this.bindEvents();
         this.updateCartUI();
+
+        // Codeless promotions show up in the summary once they're known
+        window.Promotions.loadAutomatic().then(() => this.updateCartUI());
+
+        if (this.isSignedIn()) {
+            this.syncWithAccount();
+        }
     }
 
     bindEvents() {
@@ -23,7 +43,17 @@ class Cart {
                 const btn = e.target.closest('.add-to-cart-btn');
                 const productId = btn.dataset.productId;
                 const quantity = parseInt(btn.dataset.quantity) || 1;
-                this.addItem(productId, quantity);
+                // data-options='{"size":"large"}' preselects options and skips the picker
+                const options = btn.dataset.options ? window.Utils.parseJSON(btn.dataset.options, null) : null;
+                this.addItem(productId, quantity, options);
+            }
+        });
+
+        // Live price in the option picker
+        document.addEventListener('change', (e) => {
+            const picker = e.target.closest('.option-picker');
+            if (picker && this.pickerProduct) {
+                this.updatePickerPrice(picker.closest('form'));
             }
         });
 
@@ -50,9 +80,303 @@ class Cart {
 
         // Cart page specific events
         this.bindCartPageEvents();
+
+        // Server pushed cart and product changes
+        this.bindRealtimeEvents();
+
+        // Shipping, tax and experiment-driven copy can change after the cart first renders
+        window.addEventListener('configChanged', () => this.updateCartUI());
+        window.addEventListener('experimentsChanged', () => this.updateCartUI());
+        window.addEventListener('shippingChanged', () => this.updateCartUI());
+        window.addEventListener('taxChanged', () => this.updateCartUI());
+        window.addEventListener('currencyChanged', () => this.updateCartUI());
+
+        // Signing in merges the guest cart into the account's; signing out starts a fresh guest cart
+        window.addEventListener('authChanged', (e) => {
+            if (e.detail.loggedIn) {
+                this.syncWithAccount();
+            } else {
+                this.resetGuestCart();
+            }
+        });
+
+        // Other tabs' saves: merge their lines with ours and redraw
+        window.addEventListener('storage', (e) => {
+            if (e.key === null || [this.cartKey, this.removedKey, this.couponKey, this.accountKey].includes(e.key)) {
+                this.handleStorageChange();
+            }
+        });
+
+        // Coupons accepted offline are confirmed with the server once it's reachable
+        window.addEventListener('online', () => this.revalidateCoupons());
+
+        // Cart changes queued offline on an earlier visit have no caller waiting for the result
+        window.addEventListener('offlineQueueSettled', (e) => {
+            const { entry, hadWaiter } = e.detail;
+            if (!hadWaiter && entry.endpoint.startsWith('/cart') && this.isSignedIn()) {
+                this.refreshFromServer();
+            }
+        });
+    }
+
+    bindRealtimeEvents() {
+        if (!window.API || !window.API.realtime) return;
+
+        window.API.realtime.on('cart_updated', (data) => this.handleCartUpdated(data));
+        window.API.realtime.on('product_updated', (data) => this.handleProductUpdated(data.product || data));
+    }
+
+    handleCartUpdated(data) {
+        // Echoes of our own changes arrive while later ones are still in flight; catch up once they land
+        if (this.pendingSyncs > 0) {
+            this.syncStale = true;
+            return;
+        }
+
+        if (data.cart) {
+            this.reconcile(data.cart);
+            return;
+        }
+
+        this.refreshFromServer();
+    }
+
+    // Replace local line items with the server's view, keeping local display data the server omits
+    applyServerCart(cart) {
+        const serverItems = Array.isArray(cart) ? cart : (cart && cart.items) || [];
+        const now = Date.now();
+        const previous = this.items;
+
+        this.items = serverItems
+            .map(serverItem => {
+                const id = String(serverItem.productId || serverItem.id);
+                const options = serverItem.options || {};
+                const personalization = serverItem.personalization || null;
+                const key = serverItem.key ||
+                    this.getLineKey(id, options, personalization && personalization.values);
+                const local = this.items.find(item => item.key === key);
+                const fields = this.pickProductFields(serverItem);
+                const optionSummary = serverItem.optionSummary || (local && local.optionSummary) || [];
+                const personalized = personalization || (local && local.personalization) || null;
+
+                // The server sends the unit price; split it back into base and surcharges
+                const price = fields.price !== undefined ? fields.price : (local ? local.price : 0);
+                const optionsPrice = this.roundPrice(optionSummary.reduce((sum, option) => sum + (option.price || 0), 0));
+                const personalizationPrice = personalized ? personalized.price || 0 : 0;
+
+                return {
+                    ...local,
+                    ...fields,
+                    key,
+                    id,
+                    basePrice: this.roundPrice(price - optionsPrice - personalizationPrice),
+                    optionsPrice,
+                    personalizationPrice,
+                    options,
+                    optionSummary,
+                    personalization: personalized,
+                    quantity: serverItem.quantity,
+                    updatedAt: now
+                };
+            })
+            .filter(item => item.quantity > 0);
+
+        this.markRemoved(previous
+            .filter(line => !this.items.some(item => item.key === line.key))
+            .map(line => line.key));
+
+        this.saveCart();
+        this.updateCartUI();
+
+        document.dispatchEvent(new CustomEvent('cartUpdated', { detail: { source: 'server' } }));
+    }
+
+    // Server sync
+    // Signed-in shoppers' carts live on the server; guest carts only in localStorage
+    isSignedIn() {
+        return !!(window.API && window.API.authToken);
+    }
+
+    // After signing in (or loading a page signed in): fold in a guest cart, else load the account's
+    syncWithAccount() {
+        const guestItems = this.isAccountCart ? [] : this.items.map(item => this.toServerLine(item));
+        const strategy = window.Config.getString('cart.mergeStrategy', 'sum');
+
+        this.isAccountCart = true;
+        this.saveCart();
+
+        if (guestItems.length === 0) {
+            return this.refreshFromServer();
+        }
+
+        return this.syncChange(() => window.API.mergeCart(guestItems, strategy)).then(cart => {
+            if (cart && strategy !== 'account' && typeof Notifications !== 'undefined') {
+                this.notifications.show('Items you added before signing in are now in your cart', 'info');
+            }
+        });
+    }
+
+    toServerLine(item) {
+        return {
+            productId: item.id,
+            quantity: item.quantity,
+            options: item.options,
+            personalization: item.personalization ? item.personalization.values : null
+        };
+    }
+
+    // Signing out leaves a guest cart behind, not the account's lines
+    resetGuestCart() {
+        this.markRemoved(this.items.map(item => item.key));
+        this.items = [];
+        this.coupons = [];
+        this.isAccountCart = false;
+        this.saveCart();
+        this.updateCartUI();
+    }
+
+    refreshFromServer() {
+        return this.syncChange(() => window.API.getCart());
+    }
+
+    /**
+     * Send a change the cart already shows. Calls go out one at a time in the order they
+     * were made; once the last lands, the server's cart is applied. If any was rejected,
+     * the cart is reloaded instead, which rolls back the optimistic change.
+     */
+    syncChange(operation) {
+        if (!this.isSignedIn()) return Promise.resolve(null);
+
+        this.pendingSyncs++;
+        const result = this.syncQueue.then(operation);
+        this.syncQueue = result.catch(() => {});
+
+        return result
+            .then(response => {
+                this.syncedCart = response && response.cart ? response.cart : response;
+                return this.syncedCart;
+            })
+            .catch(error => {
+                this.syncError = error;
+                return null;
+            })
+            .finally(() => {
+                this.pendingSyncs--;
+                if (this.pendingSyncs === 0) {
+                    this.settleSync();
+                }
+            });
+    }
+
+    settleSync() {
+        const { syncedCart, syncError, syncStale } = this;
+        this.syncedCart = null;
+        this.syncError = null;
+        this.syncStale = false;
+
+        if (syncError) {
+            if (!syncError.cancelled && typeof Notifications !== 'undefined') {
+                this.notifications.show(syncError.status >= 400 && syncError.status < 500
+                    ? window.Utils.escapeHTML(syncError.message)
+                    : 'We couldn\'t save your cart changes. Please try again.', 'warning');
+            }
+
+            // Reloaded directly so a server that stays down can't loop back through the queue
+            window.API.getCart()
+                .then(cart => this.reconcile(cart, { notify: false }))
+                .catch(error => console.error('Failed to reload cart:', error));
+        } else if (syncStale) {
+            this.refreshFromServer();
+        } else if (syncedCart) {
+            this.reconcile(syncedCart);
+        }
+    }
+
+    // The server's cart wins; tell the shopper about lines it repriced, cut back or dropped
+    reconcile(cart, options = {}) {
+        const before = this.items;
+        this.applyServerCart(cart);
+
+        if (options.notify === false || typeof Notifications === 'undefined') return;
+
+        const changes = [];
+        before.forEach(previous => {
+            const current = this.items.find(item => item.key === previous.key);
+            const title = window.Utils.escapeHTML(String(previous.title));
+
+            if (!current) {
+                changes.push(`${title} is no longer in your cart`);
+            } else if (current.price !== previous.price) {
+                changes.push(`${title} is now ${this.formatPrice(current.price)}`);
+            } else if (current.quantity < previous.quantity) {
+                changes.push(`${title} was reduced to ${current.quantity}`);
+            }
+        });
+
+        if (changes.length > 0) {
+            this.notifications.show(changes.length === 1
+                ? changes[0]
+                : `${changes.length} items in your cart were updated`, 'warning');
+        }
+    }
+
+    handleProductUpdated(product) {
+        const id = String(product.productId || product.id);
+        const changes = this.pickProductFields(product);
+        let changed = false;
+        let stockNotice = null;
+
+        this.items.forEach(item => {
+            if (item.id === id && Object.keys(changes).length > 0) {
+                // Lines stay in the cart while out of stock, so tell the shopper when that changes
+                if (changes.stock !== undefined && item.stock === 0 && changes.stock > 0) {
+                    stockNotice = { message: `${window.Utils.escapeHTML(String(item.title))} is back in stock`, type: 'success' };
+                } else if (changes.stock === 0 && item.stock !== 0) {
+                    stockNotice = { message: `${window.Utils.escapeHTML(String(item.title))} just sold out`, type: 'warning' };
+                }
+
+                Object.assign(item, changes);
+                item.updatedAt = Date.now();
+
+                // A new catalog price is the base; the line keeps its option surcharges
+                if (changes.price !== undefined) {
+                    item.basePrice = changes.price;
+                    item.price = this.roundPrice(changes.price + (item.optionsPrice || 0) + (item.personalizationPrice || 0));
+                }
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveCart();
+            this.updateCartUI();
+        }
+
+        if (stockNotice && typeof Notifications !== 'undefined') {
+            this.notifications.show(stockNotice.message, stockNotice.type);
+        }
+    }
+
+    pickProductFields(source) {
+        const fields = {};
+        ['title', 'price', 'image', 'seller', 'category', 'weight', 'stock', 'maxQuantity'].forEach(key => {
+            if (source[key] !== undefined && source[key] !== null) {
+                fields[key] = ['price', 'weight', 'stock', 'maxQuantity'].includes(key) ? parseFloat(source[key]) : source[key];
+            }
+        });
+        return fields;
     }
 
     bindCartPageEvents() {
+        // Edit a line's personalization (Custom Box gift message, engraving, ...)
+        document.addEventListener('click', (e) => {
+            const btn = e.target.closest('.personalize-item-btn');
+            if (btn) {
+                e.preventDefault();
+                this.editPersonalization(btn.dataset.itemId);
+            }
+        });
+
         // Quantity update buttons
         document.addEventListener('click', (e) => {
             if (e.target.closest('.quantity-btn')) {
@@ -93,44 +417,135 @@ class Cart {
             }
         });
 
-        // Apply coupon button
-        const applyCouponBtn = document.querySelector('.apply-coupon-btn');
-        if (applyCouponBtn) {
-            applyCouponBtn.addEventListener('click', (e) => {
+        // Summary buttons are redrawn with the summary, so listen at the document
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.apply-coupon-btn')) {
                 e.preventDefault();
                 this.applyCoupon();
-            });
-        }
-
-        // Checkout button
-        const checkoutBtn = document.querySelector('.checkout-btn');
-        if (checkoutBtn) {
-            checkoutBtn.addEventListener('click', (e) => {
+            } else if (e.target.closest('.remove-coupon-btn')) {
+                e.preventDefault();
+                this.removeCoupon(e.target.closest('.remove-coupon-btn').dataset.code);
+            } else if (e.target.closest('.checkout-btn')) {
                 e.preventDefault();
                 this.proceedToCheckout();
-            });
-        }
+            }
+        });
+
+        // Destination, service, US state and currency; each service persists the choice and fires its own event
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('shipping-country-select')) {
+                window.Shipping.setCountry(e.target.value);
+            } else if (e.target.classList.contains('shipping-service-input')) {
+                window.Shipping.setService(e.target.value);
+            } else if (e.target.classList.contains('tax-region-select')) {
+                window.Tax.setRegion(e.target.value);
+            } else if (e.target.classList.contains('currency-select')) {
+                window.Currency.setCurrency(e.target.value);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList && e.target.classList.contains('coupon-input')) {
+                e.preventDefault();
+                this.applyCoupon();
+            }
+        });
     }
 
-    addItem(productId, quantity = 1) {
-        const existingItem = this.items.find(item => item.id === productId);
+    /**
+     * Add a product to the cart. Line items are keyed by product and selected options,
+     * so two sizes of the same box are separate lines. With options left null, products
+     * that have options open the option picker first; likewise personalization for
+     * products that take it (each distinct personalization is its own line).
+     */
+    async addItem(productId, quantity = 1, options = null, personalization = null) {
+        productId = String(productId);
 
-        if (existingItem) {
-            existingItem.quantity += quantity;
-        } else {
-            // Mock product data - in real app, this would come from API
-            const product = this.getProductData(productId);
-            if (product) {
-                this.items.push({
-                    id: productId,
-                    ...product,
-                    quantity: quantity
-                });
+        let product;
+        try {
+            product = await this.fetchProduct(productId);
+        } catch (error) {
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show('Sorry, this item is currently unavailable', 'error');
+            }
+            return;
+        }
+
+        if (options === null && product.options.length > 0) {
+            options = await this.pickOptions(product);
+            if (!options) return; // Picker dismissed
+        }
+
+        if (personalization === null && product.personalization.length > 0) {
+            personalization = await this.personalize(product);
+            if (!personalization) return; // Form dismissed or the image failed to upload
+        }
+
+        let selection;
+        let personalized = null;
+        try {
+            selection = this.resolveOptions(product, options || {});
+            if (product.personalization.length > 0) {
+                personalized = this.resolvePersonalization(product, personalization || {});
+            }
+        } catch (error) {
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show(window.Utils.escapeHTML(error.message), 'error');
+            }
+            return;
+        }
+
+        const personalizationPrice = personalized ? personalized.price : 0;
+        const key = this.getLineKey(productId, selection.options, personalized && personalized.values);
+
+        // Another click may have added the same line while the product was loading
+        let line = this.items.find(item => item.key === key);
+
+        // Fresh stock for every line of this product, then add only what's available
+        const stockFields = this.pickProductFields({ stock: product.stock, maxQuantity: product.maxQuantity });
+        this.items.filter(item => item.id === productId).forEach(item => Object.assign(item, stockFields));
+
+        const current = line ? line.quantity : 0;
+        const available = this.getAvailableQuantity({ key, id: productId, ...stockFields });
+        if (current + quantity > available) {
+            quantity = available - current;
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show(this.describeShortage(product, available), quantity > 0 ? 'warning' : 'error');
             }
+            if (quantity <= 0) {
+                this.updateCartUI();
+                return;
+            }
+        }
+
+        if (!line) {
+            line = {
+                key,
+                id: productId,
+                ...this.pickProductFields(product),
+                basePrice: product.price,
+                optionsPrice: selection.price,
+                personalizationPrice,
+                price: this.roundPrice(product.price + selection.price + personalizationPrice),
+                options: selection.options,
+                optionSummary: selection.summary,
+                personalization: personalized,
+                quantity: 0
+            };
+            this.items.push(line);
         }
 
+        line.quantity += quantity;
+        line.updatedAt = Date.now();
+
         this.saveCart();
         this.updateCartUI();
+        this.syncChange(() => window.API.addToCart(productId, quantity, line.options,
+            line.personalization ? line.personalization.values : null));
+
+        if (window.Analytics) {
+            window.Analytics.addToCart(line, quantity);
+        }
 
         // Show notification
         if (typeof Notifications !== 'undefined') {
@@ -141,35 +556,493 @@ class Cart {
         this.animateCartIcon();
     }
 
-    updateQuantity(productId, change) {
-        const item = this.items.find(item => item.id === productId);
+    // Options
+    // Stable key for a product + options combination: '2|addons=prayer-video|size=large',
+    // plus a hash of the personalization ('6|p=1b3f09c2') so differently personalized boxes stay apart
+    getLineKey(productId, options = {}, personalization = null) {
+        const parts = Object.keys(options).sort().map(name => {
+            const value = options[name];
+            return `${name}=${Array.isArray(value) ? [...value].sort().join(',') : value}`;
+        });
+
+        if (personalization && Object.keys(personalization).length > 0) {
+            parts.push(`p=${this.hashPersonalization(personalization)}`);
+        }
+        return [String(productId), ...parts].join('|');
+    }
+
+    // FNV-1a over the sorted fields; uploaded images count by their ID
+    hashPersonalization(values) {
+        const input = Object.keys(values).sort().map(name => {
+            const value = values[name];
+            return `${name}=${value && typeof value === 'object' ? value.id : value}`;
+        }).join('&');
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    roundPrice(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Check a selection against the product's option definitions:
+     *   [{ name, label, type: 'select' | 'multi', required, values: [{ value, label, price }] }]
+     * Returns { options, summary, price } where price is the total option surcharge.
+     * Throws a ValidationError naming any required option left unchosen.
+     */
+    resolveOptions(product, chosen = {}) {
+        const options = {};
+        const summary = [];
+        const fieldErrors = {};
+        let price = 0;
+
+        const select = (option, choice) => {
+            price += choice.price || 0;
+            summary.push({ name: option.label || option.name, value: choice.label || choice.value, price: choice.price || 0 });
+        };
+
+        product.options.forEach(option => {
+            const values = option.values || [];
+            const selected = chosen[option.name] || option.default;
+
+            if (option.type === 'multi') {
+                const picked = (Array.isArray(selected) ? selected : (selected ? [selected] : []))
+                    .map(value => values.find(choice => choice.value === value))
+                    .filter(Boolean);
+
+                if (picked.length > 0) {
+                    options[option.name] = picked.map(choice => choice.value).sort();
+                    picked.forEach(choice => select(option, choice));
+                }
+                return;
+            }
+
+            const choice = values.find(candidate => candidate.value === selected);
+            if (choice) {
+                options[option.name] = choice.value;
+                select(option, choice);
+            } else if (option.required !== false) {
+                fieldErrors[option.name] = [`Please choose a ${(option.label || option.name).toLowerCase()}`];
+            }
+        });
+
+        if (Object.keys(fieldErrors).length > 0) {
+            const first = Object.values(fieldErrors)[0][0];
+            throw new ValidationError(first, { fieldErrors });
+        }
+
+        return { options, summary, price: this.roundPrice(price) };
+    }
+
+    // Ask for the product's options; resolves with the selection, or null if dismissed
+    async pickOptions(product) {
+        // Without a modal, fall back on each option's default (or first) value
+        if (!this.modal) {
+            const defaults = {};
+            product.options.filter(option => option.type !== 'multi').forEach(option => {
+                const values = option.values || [];
+                defaults[option.name] = option.default || (values[0] && values[0].value);
+            });
+            return defaults;
+        }
+
+        const escape = (text) => window.Utils.escapeHTML(String(text || ''));
+        const formatSurcharge = (price) => price ? ` (+${this.formatPrice(price)})` : '';
+        const fields = product.options.map(option => {
+            const values = option.values || [];
+
+            if (option.type === 'multi') {
+                return `
+                    <fieldset class="form-group option-picker">
+                        <legend>${escape(option.label || option.name)}</legend>
+                        ${values.map(choice => `
+                            <label class="checkbox-label">
+                                <input type="checkbox" name="${escape(option.name)}" value="${escape(choice.value)}">
+                                ${escape(choice.label || choice.value)}${formatSurcharge(choice.price)}
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                `;
+            }
+
+            return `
+                <div class="form-group option-picker">
+                    <label for="option-${escape(option.name)}">${escape(option.label || option.name)}</label>
+                    <select id="option-${escape(option.name)}" name="${escape(option.name)}" class="form-input" ${option.required !== false ? 'required' : ''}>
+                        <option value="">Choose...</option>
+                        ${values.map(choice => `
+                            <option value="${escape(choice.value)}" ${choice.value === option.default ? 'selected' : ''}>${escape(choice.label || choice.value)}${formatSurcharge(choice.price)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        this.pickerProduct = product;
+        try {
+            const formData = await this.modal.showForm(`
+                ${fields}
+                <div class="option-picker-price">${this.formatPrice(product.price)}</div>
+            `, {
+                title: escape(product.title),
+                submitText: 'Add to Cart',
+                validate: (data) => {
+                    try {
+                        this.resolveOptions(product, this.readOptions(product, data));
+                        return [];
+                    } catch (error) {
+                        return error.getFieldErrors();
+                    }
+                }
+            });
+
+            return formData ? this.readOptions(product, formData) : null;
+        } finally {
+            this.pickerProduct = null;
+        }
+    }
+
+    readOptions(product, formData) {
+        const chosen = {};
+        product.options.forEach(option => {
+            chosen[option.name] = option.type === 'multi'
+                ? formData.getAll(option.name)
+                : formData.get(option.name);
+        });
+        return chosen;
+    }
+
+    updatePickerPrice(form) {
+        const priceLabel = form && form.querySelector('.option-picker-price');
+        if (!priceLabel) return;
+
+        const product = this.pickerProduct;
+        const chosen = this.readOptions(product, new FormData(form));
+        const surcharge = product.options.reduce((total, option) => {
+            const selected = [].concat(chosen[option.name] || []);
+            return total + (option.values || [])
+                .filter(choice => selected.includes(choice.value))
+                .reduce((sum, choice) => sum + (choice.price || 0), 0);
+        }, 0);
+
+        priceLabel.textContent = this.formatPrice(product.price + surcharge);
+    }
+
+    renderOptionSummary(item) {
+        const entries = [
+            ...(item.optionSummary || []),
+            ...(item.personalization ? item.personalization.summary : [])
+        ];
+        if (entries.length === 0) return '';
+
+        // Personalization is customer text, so everything is escaped
+        const escape = (text) => window.Utils.escapeHTML(String(text));
+
+        return `
+            <ul class="cart-item-options">
+                ${entries.map(option => `
+                    <li>${escape(option.name)}: ${escape(option.value)}${option.price ? ` (+${this.formatPrice(option.price)})` : ''}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // Personalization
+    /**
+     * Products such as the Custom Box declare personalization fields:
+     *   [{ name, label, type: 'text' | 'textarea' | 'select' | 'image', required,
+     *      maxLength, pattern, patternMessage, values, price }]
+     * A field's price is charged when it is filled in. Returns { values, summary, price };
+     * throws a ValidationError listing every invalid field.
+     */
+    resolvePersonalization(product, input = {}) {
+        const values = {};
+        const summary = [];
+        const fieldErrors = {};
+        let price = 0;
+
+        const accept = (field, value, display) => {
+            values[field.name] = value;
+            summary.push({ name: field.label || field.name, value: display, price: field.price || 0 });
+            price += field.price || 0;
+        };
+
+        product.personalization.forEach(field => {
+            const label = field.label || field.name;
+            const fail = (message) => {
+                fieldErrors[field.name] = [message];
+            };
+
+            if (field.type === 'image') {
+                const image = input[field.name];
+                if (image && image.id) {
+                    accept(field, { id: image.id, name: image.name || null }, image.name || 'Attached');
+                } else if (field.required) {
+                    fail(`Please attach ${label.toLowerCase()}`);
+                }
+                return;
+            }
+
+            // Collapse runs of spaces but keep line breaks in messages
+            const value = typeof input[field.name] === 'string'
+                ? input[field.name].replace(/[ \t]+/g, ' ').trim()
+                : '';
+
+            if (!value) {
+                if (field.required) fail(`Please enter ${label.toLowerCase()}`);
+                return;
+            }
+
+            if (field.type === 'select') {
+                const choice = (field.values || []).find(candidate => candidate.value === value);
+                if (choice) {
+                    accept(field, choice.value, choice.label || choice.value);
+                } else {
+                    fail(`Please choose ${label.toLowerCase()}`);
+                }
+                return;
+            }
+
+            if (field.maxLength && value.length > field.maxLength) {
+                fail(`${label} must be ${field.maxLength} characters or fewer`);
+            } else if (/[<>{}]|[\u0000-\u0009\u000B-\u001F\u007F]/.test(value)) {
+                fail(`${label} can't contain <, >, { or }`);
+            } else if (field.pattern && !new RegExp(field.pattern, 'u').test(value)) {
+                fail(field.patternMessage || `${label} contains characters we can't print`);
+            } else {
+                accept(field, value, value);
+            }
+        });
+
+        if (Object.keys(fieldErrors).length > 0) {
+            throw new ValidationError(Object.values(fieldErrors)[0][0], { fieldErrors });
+        }
+
+        return { values, summary, price: this.roundPrice(price) };
+    }
+
+    /**
+     * Collect personalization in a modal, prefilled with current values when editing.
+     * A newly chosen reference image is uploaded before this resolves; leaving the
+     * file input empty keeps the current one. Resolves null if dismissed or the upload fails.
+     */
+    async personalize(product, current = {}) {
+        if (!this.modal) return {};
+
+        const escape = (text) => window.Utils.escapeHTML(String(text || ''));
+        const fields = product.personalization.map(field => {
+            const id = `personalize-${escape(field.name)}`;
+            const label = `${escape(field.label || field.name)}${field.price ? ` (+${this.formatPrice(field.price)})` : ''}${field.required ? '' : ' <small>(optional)</small>'}`;
+            const maxLength = field.maxLength ? `maxlength="${field.maxLength}"` : '';
+            const required = field.required ? 'required' : '';
+            const value = current[field.name];
+            let control;
+
+            if (field.type === 'textarea') {
+                control = `<textarea id="${id}" name="${escape(field.name)}" class="form-input" rows="3" ${maxLength} ${required}>${escape(value)}</textarea>`;
+            } else if (field.type === 'select') {
+                control = `
+                    <select id="${id}" name="${escape(field.name)}" class="form-input" ${required}>
+                        <option value="">Choose...</option>
+                        ${(field.values || []).map(choice => `
+                            <option value="${escape(choice.value)}" ${choice.value === value ? 'selected' : ''}>${escape(choice.label || choice.value)}</option>
+                        `).join('')}
+                    </select>
+                `;
+            } else if (field.type === 'image') {
+                control = `
+                    <input type="file" id="${id}" name="${escape(field.name)}" class="form-input" accept="image/*">
+                    ${value && value.name ? `<small>Current: ${escape(value.name)}. Choose a file to replace it.</small>` : ''}
+                `;
+            } else {
+                control = `<input type="text" id="${id}" name="${escape(field.name)}" class="form-input" value="${escape(value)}" ${maxLength} ${required}>`;
+            }
+
+            return `
+                <div class="form-group">
+                    <label for="${id}">${label}</label>
+                    ${control}
+                    ${field.help ? `<small class="form-help">${escape(field.help)}</small>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        const formData = await this.modal.showForm(fields, {
+            title: `Personalize your ${escape(product.title)}`,
+            submitText: 'Save',
+            validate: (data) => this.validatePersonalizationForm(product, data, current)
+        });
+        if (!formData) return null;
+
+        const input = this.readPersonalization(product, formData, current);
+
+        for (const field of product.personalization.filter(candidate => candidate.type === 'image')) {
+            const file = input[field.name];
+            if (!(file instanceof Blob)) continue;
+
+            try {
+                const uploaded = await window.API.uploadFile('/custom-box/photos', file, 'photo', {}, {
+                    rules: window.API.uploader.imageRules
+                });
+                input[field.name] = { id: uploaded.id, name: file.name };
+            } catch (error) {
+                if (typeof Notifications !== 'undefined') {
+                    this.notifications.show(`Couldn't upload ${window.Utils.escapeHTML(file.name)}. Please try again.`, 'error');
+                }
+                return null;
+            }
+        }
+
+        return input;
+    }
+
+    readPersonalization(product, formData, current = {}) {
+        const input = {};
+        product.personalization.forEach(field => {
+            if (field.type === 'image') {
+                const file = formData.get(field.name);
+                input[field.name] = file && file.size > 0 ? file : current[field.name] || null;
+            } else {
+                input[field.name] = formData.get(field.name) || '';
+            }
+        });
+        return input;
+    }
+
+    // Modal validation: text rules, plus type/size checks on a newly chosen image
+    validatePersonalizationForm(product, formData, current) {
+        const input = this.readPersonalization(product, formData, current);
+        const errors = [];
+
+        product.personalization.filter(field => field.type === 'image').forEach(field => {
+            const file = input[field.name];
+            if (file instanceof Blob) {
+                try {
+                    window.API.uploader.validate(file, window.API.uploader.imageRules, field.name);
+                    input[field.name] = { id: 'pending', name: file.name };
+                } catch (error) {
+                    errors.push(...error.getFieldErrors());
+                    input[field.name] = null;
+                }
+            }
+        });
+
+        try {
+            this.resolvePersonalization(product, input);
+        } catch (error) {
+            errors.push(...error.getFieldErrors().filter(entry =>
+                !errors.some(existing => existing.field === entry.field)));
+        }
+
+        return errors;
+    }
+
+    async editPersonalization(lineKey) {
+        const line = this.items.find(item => item.key === lineKey);
+        if (!line) return;
+
+        let product;
+        try {
+            product = await this.fetchProduct(line.id);
+        } catch (error) {
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show('Sorry, this item is currently unavailable', 'error');
+            }
+            return;
+        }
+
+        const input = await this.personalize(product, line.personalization ? line.personalization.values : {});
+        if (!input) return;
+
+        let personalized;
+        try {
+            personalized = this.resolvePersonalization(product, input);
+        } catch (error) {
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show(window.Utils.escapeHTML(error.message), 'error');
+            }
+            return;
+        }
+
+        line.personalization = personalized;
+        line.personalizationPrice = personalized.price;
+        line.price = this.roundPrice(line.basePrice + (line.optionsPrice || 0) + personalized.price);
+
+        // Now identical to another line: fold this one into it
+        const previousKey = line.key;
+        const key = this.getLineKey(line.id, line.options, personalized.values);
+        const twin = this.items.find(item => item !== line && item.key === key);
+        if (twin) {
+            twin.quantity += line.quantity;
+            twin.updatedAt = Date.now();
+            this.items = this.items.filter(item => item !== line);
+        } else {
+            line.key = key;
+            line.updatedAt = Date.now();
+        }
+        if (key !== previousKey) {
+            this.markRemoved([previousKey]);
+        }
+
+        this.saveCart();
+        this.updateCartUI();
+
+        // The server keys lines the same way, so the edit is a remove and re-add
+        this.syncChange(async () => {
+            await window.API.removeCartItem(previousKey);
+            return window.API.addToCart(line.id, line.quantity, line.options, personalized.values);
+        });
+    }
+
+    updateQuantity(lineKey, change) {
+        const item = this.items.find(item => item.key === lineKey);
         if (item) {
-            const newQuantity = item.quantity + change;
+            const newQuantity = this.limitQuantity(item, item.quantity + change);
+            if (newQuantity === item.quantity) return;
+
             if (newQuantity > 0) {
                 item.quantity = newQuantity;
+                item.updatedAt = Date.now();
             } else {
-                this.removeItem(productId);
+                this.removeItem(lineKey);
                 return;
             }
 
             this.saveCart();
             this.updateCartUI();
+            this.syncChange(() => window.API.updateCartItem(lineKey, newQuantity));
         }
     }
 
-    setQuantity(productId, quantity) {
-        const item = this.items.find(item => item.id === productId);
+    setQuantity(lineKey, quantity) {
+        const item = this.items.find(item => item.key === lineKey);
         if (item && quantity > 0) {
+            quantity = this.limitQuantity(item, quantity);
+            if (quantity === item.quantity) {
+                this.updateCartUI(); // Put the quantity input back
+                return;
+            }
+
             item.quantity = quantity;
+            item.updatedAt = Date.now();
             this.saveCart();
             this.updateCartUI();
+            this.syncChange(() => window.API.updateCartItem(lineKey, quantity));
         }
     }
 
-    removeItem(productId) {
-        this.items = this.items.filter(item => item.id !== productId);
+    removeItem(lineKey) {
+        this.items = this.items.filter(item => item.key !== lineKey);
+        this.markRemoved([lineKey]);
         this.saveCart();
         this.updateCartUI();
+        this.syncChange(() => window.API.removeCartItem(lineKey));
 
         // Show notification
         if (typeof Notifications !== 'undefined') {
@@ -178,9 +1051,65 @@ class Cart {
     }
 
     clearCart() {
+        this.markRemoved(this.items.map(item => item.key));
         this.items = [];
+        this.coupons = [];
         this.saveCart();
         this.updateCartUI();
+        this.syncChange(() => window.API.clearCart());
+    }
+
+    // Inventory
+    // Units a line may hold: the product's stock less its other lines, capped by maxQuantity (or cart.maxQuantity)
+    getAvailableQuantity(line) {
+        const limit = line.maxQuantity || window.Config.getNumber('cart.maxQuantity', 10);
+        if (line.stock === undefined || line.stock === null) return limit;
+
+        const elsewhere = this.items
+            .filter(item => item.id === line.id && item.key !== line.key)
+            .reduce((total, item) => total + item.quantity, 0);
+        return Math.max(0, Math.min(limit, line.stock - elsewhere));
+    }
+
+    // Increases beyond what's available are cut back, with a note; decreases always go through
+    limitQuantity(item, quantity) {
+        if (quantity <= item.quantity) return quantity;
+
+        const available = this.getAvailableQuantity(item);
+        if (quantity <= available) return quantity;
+
+        if (typeof Notifications !== 'undefined') {
+            this.notifications.show(this.describeShortage(item, available), 'warning');
+        }
+        return Math.max(item.quantity, available);
+    }
+
+    describeShortage(product, available) {
+        const title = window.Utils.escapeHTML(String(product.title));
+        const limit = product.maxQuantity || window.Config.getNumber('cart.maxQuantity', 10);
+
+        if (available === 0) return `${title} is out of stock`;
+        if (available === limit && (product.stock === undefined || product.stock === null || product.stock > limit)) {
+            return `${title} is limited to ${limit} per order`;
+        }
+        return `Only ${available} of ${title} available`;
+    }
+
+    // 'Out of stock', 'Only 2 available' or 'Only 3 left' under a cart page line
+    renderStockNote(item) {
+        const available = this.getAvailableQuantity(item);
+
+        if (available === 0) {
+            return '<div class="cart-item-stock cart-item-out-of-stock">Out of stock</div>';
+        }
+        if (item.quantity > available) {
+            return `<div class="cart-item-stock cart-item-out-of-stock">Only ${available} available</div>`;
+        }
+        if (item.stock !== undefined && item.stock !== null &&
+            item.stock <= window.Config.getNumber('cart.lowStockThreshold', 5)) {
+            return `<div class="cart-item-stock">Only ${item.stock} left</div>`;
+        }
+        return '';
     }
 
     getItemCount() {
@@ -191,14 +1120,39 @@ class Cart {
         return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
     }
 
-    getItemQuantity(productId) {
-        const item = this.items.find(item => item.id === productId);
+    // Unit price as shown to the shopper: VAT/GST-inclusive where the destination expects it
+    getDisplayPrice(item) {
+        return window.Tax.displayPrice(item.price, item);
+    }
+
+    getDisplaySubtotal() {
+        return this.items.reduce((total, item) => total + this.getDisplayPrice(item) * item.quantity, 0);
+    }
+
+    // Prices are kept in the base currency and shown in the shopper's
+    formatPrice(amount) {
+        return window.Currency.format(amount);
+    }
+
+    // Converted unit price times quantity, so the line agrees with the unit price shown above it
+    formatLineTotal(item) {
+        return window.Currency.formatAmount(window.Currency.convert(this.getDisplayPrice(item)) * item.quantity);
+    }
+
+    getItemQuantity(lineKey) {
+        const item = this.items.find(item => item.key === lineKey);
         return item ? item.quantity : 0;
     }
 
     saveCart() {
         try {
+            // Another tab may have saved since this one last read: keep its newer lines
+            this.mergeState(this.readStoredState());
+
             localStorage.setItem(this.cartKey, JSON.stringify(this.items));
+            localStorage.setItem(this.removedKey, JSON.stringify(this.removed));
+            localStorage.setItem(this.couponKey, JSON.stringify(this.coupons));
+            localStorage.setItem(this.accountKey, JSON.stringify(this.isAccountCart));
         } catch (e) {
             console.error('Failed to save cart:', e);
         }
@@ -206,16 +1160,99 @@ class Cart {
 
     loadCart() {
         try {
-            const saved = localStorage.getItem(this.cartKey);
-            if (saved) {
-                this.items = JSON.parse(saved);
-            }
+            const state = this.readStoredState();
+            this.items = state.items;
+            this.removed = state.removed;
+            this.coupons = state.coupons;
+            this.isAccountCart = state.isAccountCart;
         } catch (e) {
             console.error('Failed to load cart:', e);
             this.items = [];
         }
     }
 
+    readStoredState() {
+        const saved = localStorage.getItem(this.cartKey);
+
+        // Carts saved before options existed have one line per product
+        const coupons = JSON.parse(localStorage.getItem(this.couponKey));
+        const items = saved ? JSON.parse(saved).map(item => ({
+            key: item.key || String(item.id),
+            basePrice: item.price,
+            optionsPrice: 0,
+            personalizationPrice: 0,
+            options: {},
+            optionSummary: [],
+            personalization: null,
+            updatedAt: 0,
+            ...item
+        })) : [];
+
+        return {
+            items,
+            removed: JSON.parse(localStorage.getItem(this.removedKey)) || {},
+            // Carts from before promotions held a single coupon object
+            coupons: Array.isArray(coupons) ? coupons : (coupons ? [coupons] : []),
+            isAccountCart: JSON.parse(localStorage.getItem(this.accountKey)) === true
+        };
+    }
+
+    // Cross-tab sync
+    markRemoved(keys) {
+        const now = Date.now();
+        keys.forEach(key => {
+            this.removed[key] = now;
+        });
+    }
+
+    /**
+     * Fold another copy of the cart (another tab's save) into this one, line by line:
+     * the most recently changed version of each line wins, and a line removed after
+     * its last change stays removed.
+     */
+    mergeState(state) {
+        const removed = { ...state.removed };
+        Object.keys(this.removed).forEach(key => {
+            removed[key] = Math.max(removed[key] || 0, this.removed[key]);
+        });
+
+        const lines = new Map();
+        [...this.items, ...state.items].forEach(item => {
+            const current = lines.get(item.key);
+            if (!current || (item.updatedAt || 0) > (current.updatedAt || 0)) {
+                lines.set(item.key, item);
+            }
+        });
+
+        this.items = [...lines.values()].filter(item => !(removed[item.key] > (item.updatedAt || 0)));
+
+        const cutoff = Date.now() - this.removedRetention;
+        Object.keys(removed).forEach(key => {
+            if (removed[key] < cutoff) delete removed[key];
+        });
+        this.removed = removed;
+    }
+
+    handleStorageChange() {
+        let state;
+        try {
+            state = this.readStoredState();
+        } catch (e) {
+            return; // Mid-write or corrupted; the next save event will bring a usable copy
+        }
+
+        const before = JSON.stringify(this.items);
+        this.mergeState(state);
+        this.coupons = state.coupons;
+        this.isAccountCart = state.isAccountCart;
+
+        // No saveCart() here: writing back would bounce the change between tabs
+        this.updateCartUI();
+        if (JSON.stringify(this.items) !== before) {
+            document.dispatchEvent(new CustomEvent('cartUpdated', { detail: { source: 'tab' } }));
+        }
+    }
+
     updateCartUI() {
         this.updateCartIcon();
         this.updateCartDropdown();
@@ -232,7 +1269,7 @@ class Cart {
 
         const cartTotal = document.querySelector('.cart-total');
         if (cartTotal) {
-            cartTotal.textContent = `$${this.getTotalPrice().toFixed(2)}`;
+            cartTotal.textContent = this.formatPrice(this.getDisplaySubtotal());
         }
     }
 
@@ -251,14 +1288,17 @@ class Cart {
             return;
         }
 
+        const escape = (text) => window.Utils.escapeHTML(String(text || '')); // Lines are filled from the server
+
         if (itemsList) {
             itemsList.innerHTML = this.items.slice(0, 3).map(item => `
-                <div class="cart-item" data-item-id="${item.id}">
-                    <img src="${item.image}" alt="${item.title}" class="cart-item-image">
+                <div class="cart-item" data-item-id="${escape(item.key)}">
+                    <img src="${escape(item.image)}" alt="${escape(item.title)}" class="cart-item-image">
                     <div class="cart-item-info">
-                        <h4 class="cart-item-title">${item.title}</h4>
-                        <div class="cart-item-price">$${item.price} × ${item.quantity}</div>
-                        <button class="remove-item-btn" data-item-id="${item.id}" aria-label="Remove item">
+                        <h4 class="cart-item-title">${escape(item.title)}</h4>
+                        ${this.renderOptionSummary(item)}
+                        <div class="cart-item-price">${this.formatPrice(this.getDisplayPrice(item))} × ${item.quantity}</div>
+                        <button class="remove-item-btn" data-item-id="${escape(item.key)}" aria-label="Remove item">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <line x1="18" y1="6" x2="6" y2="18"></line>
                                 <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -281,7 +1321,7 @@ class Cart {
         // Update footer total
         const footerTotal = footer.querySelector('.cart-footer-total');
         if (footerTotal) {
-            footerTotal.textContent = `Total: $${this.getTotalPrice().toFixed(2)}`;
+            footerTotal.textContent = `Total: ${this.formatPrice(this.getDisplaySubtotal())}`;
         }
     }
 
@@ -300,25 +1340,30 @@ class Cart {
             return;
         }
 
+        const escape = (text) => window.Utils.escapeHTML(String(text || '')); // Lines are filled from the server
+
         if (cartItems) {
             cartItems.innerHTML = this.items.map(item => `
-                <div class="cart-item-row" data-item-id="${item.id}">
+                <div class="cart-item-row" data-item-id="${escape(item.key)}">
                     <div class="cart-item-image">
-                        <img src="${item.image}" alt="${item.title}">
+                        <img src="${escape(item.image)}" alt="${escape(item.title)}">
                     </div>
                     <div class="cart-item-details">
-                        <h3 class="cart-item-title">${item.title}</h3>
-                        <div class="cart-item-seller">by ${item.seller}</div>
-                        <div class="cart-item-price">$${item.price}</div>
+                        <h3 class="cart-item-title">${escape(item.title)}</h3>
+                        <div class="cart-item-seller">by ${escape(item.seller)}</div>
+                        ${this.renderOptionSummary(item)}
+                        <div class="cart-item-price">${this.formatPrice(this.getDisplayPrice(item))}</div>
+                        ${this.renderStockNote(item)}
                     </div>
                     <div class="cart-item-quantity">
-                        <button class="quantity-btn" data-item-id="${item.id}" data-action="decrease" aria-label="Decrease quantity">-</button>
-                        <input type="number" class="quantity-input" data-item-id="${item.id}" value="${item.quantity}" min="1" aria-label="Quantity">
-                        <button class="quantity-btn" data-item-id="${item.id}" data-action="increase" aria-label="Increase quantity">+</button>
+                        <button class="quantity-btn" data-item-id="${escape(item.key)}" data-action="decrease" aria-label="Decrease quantity">-</button>
+                        <input type="number" class="quantity-input" data-item-id="${escape(item.key)}" value="${item.quantity}" min="1" max="${Math.max(item.quantity, this.getAvailableQuantity(item))}" aria-label="Quantity">
+                        <button class="quantity-btn" data-item-id="${escape(item.key)}" data-action="increase" aria-label="Increase quantity"${item.quantity >= this.getAvailableQuantity(item) ? ' disabled' : ''}>+</button>
                     </div>
-                    <div class="cart-item-total">$${(item.price * item.quantity).toFixed(2)}</div>
+                    <div class="cart-item-total">${this.formatLineTotal(item)}</div>
                     <div class="cart-item-actions">
-                        <button class="remove-item-btn" data-item-id="${item.id}" aria-label="Remove item">Remove</button>
+                        ${item.personalization ? `<button class="personalize-item-btn" data-item-id="${escape(item.key)}">Edit personalization</button>` : ''}
+                        <button class="remove-item-btn" data-item-id="${escape(item.key)}" aria-label="Remove item">Remove</button>
                     </div>
                 </div>
             `).join('');
@@ -336,31 +1381,186 @@ class Cart {
 
     updateCartSummary(summary) {
         const subtotal = this.getTotalPrice();
-        const shipping = subtotal > 50 ? 0 : 5.99; // Free shipping over $50
-        const tax = subtotal * 0.08; // 8% tax
-        const total = subtotal + shipping + tax;
+        const promotions = this.getPromotionResult();
+        const discount = promotions.discount;
+        const quotes = this.getShippingQuotes(promotions);
+        const quote = quotes.find(entry => entry.service === window.Shipping.service) || quotes[0];
+        const shipping = quote.cost;
+        const tax = this.getTaxResult(promotions, quote);
+        const total = subtotal - discount + shipping + tax.tax;
+
+        // Where prices include VAT/GST, every row is shown gross and the tax is noted rather than added
+        const displaySubtotal = this.getDisplaySubtotal();
+        const displayRatio = subtotal > 0 ? displaySubtotal / subtotal : 1;
+        const displayShipping = window.Tax.displayShipping(shipping);
+        const taxRows = tax.inclusive
+            ? tax.breakdown.length > 0 ? [{ label: `Includes ${tax.breakdown[0].label}`, amount: tax.tax }] : []
+            : tax.breakdown.length > 0 ? tax.breakdown : [{ label: 'Tax', amount: 0 }];
 
         summary.innerHTML = `
             <div class="summary-row">
                 <span>Subtotal:</span>
-                <span>$${subtotal.toFixed(2)}</span>
+                <span>${this.formatPrice(displaySubtotal)}</span>
             </div>
-            <div class="summary-row">
-                <span>Shipping:</span>
-                <span>${shipping === 0 ? 'Free' : '$' + shipping.toFixed(2)}</span>
-            </div>
-            <div class="summary-row">
-                <span>Tax:</span>
-                <span>$${tax.toFixed(2)}</span>
+            ${promotions.applied.filter(entry => entry.discount > 0).map(entry => `
+                <div class="summary-row summary-discount">
+                    <span>${this.describePromotion(entry.promotion)}:</span>
+                    <span>-${this.formatPrice(entry.discount * displayRatio)}</span>
+                </div>
+            `).join('')}
+            ${this.renderShippingOptions(quotes, quote)}
+            <div class="summary-row summary-shipping">
+                <span>Shipping (${quote.serviceName}):</span>
+                <span>${shipping === 0 ? 'Free' : this.formatPrice(displayShipping)}</span>
             </div>
+            <div class="shipping-estimate">Estimated delivery ${window.Shipping.formatEstimate(quote.estimate)}</div>
+            ${quote.remainingForFree > 0 ? `
+                <div class="shipping-note">Add ${this.formatPrice(quote.remainingForFree * displayRatio)} more for free shipping to ${quote.countryName}</div>
+            ` : ''}
+            ${this.renderTaxRegion(tax)}
+            ${taxRows.map(row => `
+                <div class="summary-row summary-tax${tax.inclusive ? ' summary-tax-included' : ''}">
+                    <span>${row.label}:</span>
+                    <span>${this.formatPrice(row.amount)}</span>
+                </div>
+            `).join('')}
+            ${tax.rate > 0 && tax.exempt > 0 ? `
+                <div class="tax-note">${this.formatPrice(tax.exempt)} of your order is tax-exempt</div>
+            ` : ''}
             <div class="summary-row summary-total">
                 <span>Total:</span>
-                <span>$${total.toFixed(2)}</span>
+                <span>${this.formatPrice(total)}</span>
             </div>
-            <button class="btn btn-primary checkout-btn">Proceed to Checkout</button>
+            ${this.renderCurrencyNote(total)}
+            <button class="btn btn-primary checkout-btn">${window.Utils.escapeHTML(window.Experiments.getValue('checkout_button_copy', 'Proceed to Checkout'))}</button>
             <div class="coupon-section">
                 <input type="text" class="coupon-input" placeholder="Enter coupon code">
                 <button class="btn btn-outline apply-coupon-btn">Apply</button>
+                ${this.renderCouponChips(promotions)}
+            </div>
+        `;
+    }
+
+    // Shipping
+    // One quote per service for the shopper's country; promotions and the free_shipping_threshold experiment can waive standard
+    getShippingQuotes(promotions = this.getPromotionResult()) {
+        return window.Shipping.quoteAll(this.items, {
+            subtotal: this.getTotalPrice(),
+            freeShipping: promotions.freeShipping,
+            freeShippingThreshold: window.Experiments.getValue('free_shipping_threshold', null)
+        });
+    }
+
+    getShippingQuote(promotions = this.getPromotionResult()) {
+        const quotes = this.getShippingQuotes(promotions);
+        return quotes.find(quote => quote.service === window.Shipping.service) || quotes[0];
+    }
+
+    // Destination picker grouped by region, and the service choice with each price and delivery time
+    renderShippingOptions(quotes, selected) {
+        return `
+            <div class="shipping-options">
+                <label class="shipping-country-label">
+                    Ship to
+                    <select class="shipping-country-select" aria-label="Shipping country">
+                        ${window.Shipping.getCountriesByRegion().map(region => `
+                            <optgroup label="${region.name}">
+                                ${region.countries.map(country => `
+                                    <option value="${country.code}"${country.code === selected.country ? ' selected' : ''}>${country.name}</option>
+                                `).join('')}
+                            </optgroup>
+                        `).join('')}
+                    </select>
+                </label>
+                ${quotes.map(quote => `
+                    <label class="shipping-service">
+                        <input type="radio" name="shipping-service" class="shipping-service-input" value="${quote.service}"${quote.service === selected.service ? ' checked' : ''}>
+                        ${quote.serviceName} (${quote.estimate.minDays}–${quote.estimate.maxDays} days):
+                        ${quote.cost === 0 ? 'Free' : this.formatPrice(window.Tax.displayShipping(quote.cost))}
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Currency
+    // Currency picker, and which rate the converted prices use; orders are charged in the base currency
+    renderCurrencyNote(total) {
+        const currency = window.Currency;
+        const currencies = currency.getCurrencies();
+
+        return `
+            <div class="currency-options">
+                <label class="currency-label">
+                    Currency
+                    <select class="currency-select" aria-label="Display currency">
+                        ${Object.keys(currencies).map(code => `
+                            <option value="${code}"${code === currency.code ? ' selected' : ''}>${code} - ${currencies[code].name}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${currency.code !== currency.base ? `
+                    <div class="currency-note">
+                        ${currency.describeRate()}. You'll be charged ${currency.format(total, currency.base)}.
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Tax
+    // Sales tax or VAT/GST for the shipping destination, on the discounted lines and the shipping charge
+    getTaxResult(promotions = this.getPromotionResult(), quote = this.getShippingQuote(promotions)) {
+        return window.Tax.calculate(this.items, { discount: promotions.discount, shipping: quote.cost });
+    }
+
+    // US state picker; sales tax is estimated until one is chosen
+    renderTaxRegion(tax) {
+        const regions = window.Tax.getRegions();
+        if (regions.length === 0) return '';
+
+        return `
+            <label class="tax-region-label">
+                State
+                <select class="tax-region-select" aria-label="State for sales tax">
+                    <option value=""${tax.region ? '' : ' selected'}>Select your state</option>
+                    ${regions.map(region => `
+                        <option value="${region.code}"${region.code === tax.region ? ' selected' : ''}>${region.name}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+    }
+
+    // Promotions
+    // Automatic promotions plus the shopper's coupons, worked out against the current lines
+    getPromotionResult() {
+        return window.Promotions.evaluate(this.items, [...window.Promotions.automatic, ...this.coupons]);
+    }
+
+    describePromotion(promotion) {
+        const escape = (text) => window.Utils.escapeHTML(String(text));
+        if (!promotion.code) return escape(promotion.description || 'Discount');
+        return `${escape(promotion.description || 'Discount')} (${escape(promotion.code)})`;
+    }
+
+    // One removable chip per entered code; codes that don't apply right now say why
+    renderCouponChips(promotions) {
+        if (this.coupons.length === 0) return '';
+
+        const escape = (text) => window.Utils.escapeHTML(String(text));
+        return `
+            <div class="coupon-chips">
+                ${this.coupons.map(coupon => {
+                    const rejection = promotions.rejected.find(entry => entry.promotion.code === coupon.code);
+                    return `
+                        <span class="coupon-chip${rejection ? ' coupon-chip-inactive' : ''}">
+                            ${escape(coupon.code)}${coupon.provisional ? ' (pending)' : ''}
+                            <button type="button" class="remove-coupon-btn" data-code="${escape(coupon.code)}" aria-label="Remove coupon ${escape(coupon.code)}">&times;</button>
+                        </span>
+                        ${rejection ? `<div class="coupon-note">${escape(rejection.reason)}</div>` : ''}
+                    `;
+                }).join('')}
             </div>
         `;
     }
@@ -408,41 +1608,79 @@ class Cart {
         }
     }
 
-    applyCoupon() {
+    async applyCoupon() {
         const couponInput = document.querySelector('.coupon-input');
         if (!couponInput) return;
 
         const couponCode = couponInput.value.trim().toUpperCase();
         if (!couponCode) return;
 
-        // Mock coupon validation
-        const validCoupons = {
-            'SAVE10': 0.1,  // 10% off
-            'FREESHIP': 'shipping',  // Free shipping
-            'WELCOME': 0.05  // 5% off
-        };
+        if (this.coupons.some(coupon => coupon.code === couponCode)) {
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show(`${window.Utils.escapeHTML(couponCode)} is already applied`, 'info');
+            }
+            return;
+        }
 
-        if (validCoupons[couponCode]) {
-            const discount = validCoupons[couponCode];
+        try {
+            const coupon = await window.Promotions.validateCode(couponCode, this.getCartData());
+            this.coupons.push(coupon);
+            this.saveCart();
 
             if (typeof Notifications !== 'undefined') {
-                if (discount === 'shipping') {
-                    this.notifications.show('Free shipping coupon applied!', 'success');
+                // Valid codes whose rules aren't met yet stay on as a chip explaining what's missing
+                const rejection = this.getPromotionResult().rejected.find(entry => entry.promotion.code === coupon.code);
+                const description = window.Utils.escapeHTML(coupon.description || coupon.code);
+
+                if (rejection) {
+                    this.notifications.show(window.Utils.escapeHTML(rejection.reason), 'warning');
+                } else if (coupon.provisional) {
+                    this.notifications.show(`${description} applied. We'll confirm it when you're back online.`, 'info');
                 } else {
-                    this.notifications.show(`${(discount * 100).toFixed(0)}% discount applied!`, 'success');
+                    this.notifications.show(`${description} applied!`, 'success');
                 }
             }
 
             couponInput.value = '';
-            this.updateCartPage(); // Refresh summary with discount
-        } else {
+            this.updateCartUI();
+        } catch (error) {
             if (typeof Notifications !== 'undefined') {
-                this.notifications.show('Invalid coupon code', 'error');
+                this.notifications.show(error.name === 'ValidationError' ? window.Utils.escapeHTML(error.message) : 'Could not apply coupon. Please try again.', 'error');
+            }
+        }
+    }
+
+    removeCoupon(code) {
+        this.coupons = this.coupons.filter(coupon => coupon.code !== code);
+        this.saveCart();
+        this.updateCartUI();
+        this.syncChange(() => window.API.removeCoupon(code));
+    }
+
+    // Replace provisional (offline) coupons with the server's answer, dropping rejected ones
+    async revalidateCoupons() {
+        const provisional = this.coupons.filter(coupon => coupon.provisional);
+        if (provisional.length === 0) return;
+
+        for (const coupon of provisional) {
+            try {
+                const confirmed = await window.Promotions.validateCode(coupon.code, this.getCartData());
+                this.coupons = this.coupons.map(existing => existing.code === coupon.code ? confirmed : existing);
+            } catch (error) {
+                if (!error.status) break; // Still unreachable; try again on the next online event
+
+                this.coupons = this.coupons.filter(existing => existing.code !== coupon.code);
+                if (typeof Notifications !== 'undefined') {
+                    this.notifications.show(`${window.Utils.escapeHTML(coupon.code)} was removed: ${window.Utils.escapeHTML(error.message)}`, 'warning');
+                }
             }
         }
+
+        this.saveCart();
+        this.updateCartUI();
     }
 
-    proceedToCheckout() {
+    async proceedToCheckout() {
         if (this.items.length === 0) {
             if (typeof Notifications !== 'undefined') {
                 this.notifications.show('Your cart is empty', 'warning');
@@ -450,53 +1688,82 @@ class Cart {
             return;
         }
 
+        if (this.checkingOut) return;
+        this.checkingOut = true;
+
+        let result;
+        try {
+            result = await this.revalidateCart();
+        } finally {
+            this.checkingOut = false;
+        }
+
+        // Anything that changed is shown first; the next click goes through
+        const messages = [...result.changes, ...result.errors];
+        if (messages.length > 0) {
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show(messages.length === 1
+                    ? messages[0]
+                    : `${messages.length} items in your cart changed. Please review them before checking out.`, 'warning');
+            }
+            return;
+        }
+
+        if (window.Analytics) {
+            window.Analytics.beginCheckout(this.items, this.coupons.map(coupon => coupon.code).join(',') || null);
+        }
+
         // In a real app, this would redirect to checkout page
         window.location.href = '/checkout';
     }
 
-    getProductData(productId) {
-        // Mock product data - in real app, this would be an API call
-        const mockProducts = {
-            '1': {
-                title: 'Handmade Leather Crossbody Bag',
-                price: 89.99,
-                image: 'https://via.placeholder.com/280x240/FFE4E1/FF6B6B?text=Handmade+Bag',
-                seller: 'ArtisanLeather'
-            },
-            '2': {
-                title: 'Ceramic Vase with Blue Glaze',
-                price: 45.00,
-                image: 'https://via.placeholder.com/280x240/E8F4F8/74B9FF?text=Ceramic+Vase',
-                seller: 'PotteryArt'
-            },
-            '3': {
-                title: 'Merino Wool Throw Blanket',
-                price: 120.00,
-                image: 'https://via.placeholder.com/280x240/F0F8E7/6FAF5A?text=Wool+Blanket',
-                seller: 'WoolWorks'
-            },
-            '4': {
-                title: 'Live Edge Wooden Salad Bowl',
-                price: 65.00,
-                image: 'https://via.placeholder.com/280x240/FFF2E8/FF8C42?text=Wooden+Bowl',
-                seller: 'WoodCraft'
-            }
+    // Snapshot of the catalog fields a cart line needs
+    async fetchProduct(productId) {
+        const product = await window.API.getProduct(productId);
+        return {
+            ...this.pickProductFields(product),
+            options: product.options || [],
+            personalization: product.personalization || []
         };
-
-        return mockProducts[productId] || null;
     }
 
     // Export cart data for checkout
     getCartData() {
+        const promotions = this.getPromotionResult();
+        const quote = this.getShippingQuote(promotions);
+        const tax = this.getTaxResult(promotions, quote);
+        const subtotal = this.getTotalPrice();
         return {
             items: this.items,
-            subtotal: this.getTotalPrice(),
+            subtotal,
+            coupons: this.coupons.map(coupon => coupon.code),
+            discount: promotions.discount,
+            shipping: {
+                country: quote.country,
+                service: quote.service,
+                cost: quote.cost,
+                estimate: quote.estimate
+            },
+            tax: {
+                country: tax.country,
+                region: tax.region,
+                name: tax.name,
+                rate: tax.rate,
+                inclusive: tax.inclusive,
+                estimated: tax.estimated,
+                taxable: tax.taxable,
+                exempt: tax.exempt,
+                amount: tax.tax,
+                breakdown: tax.breakdown
+            },
+            total: Math.round((subtotal - promotions.discount + quote.cost + tax.tax) * 100) / 100,
+            currency: window.Currency.code, // Display only; amounts above are in the base currency
             itemCount: this.getItemCount(),
             timestamp: new Date().toISOString()
         };
     }
 
-    // Validate cart before checkout
+    // Validate cart before checkout, against the stock and limits the lines last saw
     validateCart() {
         const errors = [];
 
@@ -504,10 +1771,12 @@ class Cart {
             errors.push('Your cart is empty');
         }
 
-        // Check for out of stock items (mock)
         this.items.forEach(item => {
-            if (item.quantity > 10) { // Mock stock limit
-                errors.push(`${item.title} is limited to 10 per customer`);
+            const available = this.getAvailableQuantity(item);
+            if (item.quantity > available) {
+                errors.push(available === 0
+                    ? `${window.Utils.escapeHTML(String(item.title))} is out of stock. Remove it to check out.`
+                    : this.describeShortage(item, available));
             }
         });
 
@@ -516,6 +1785,69 @@ class Cart {
             errors: errors
         };
     }
+
+    /**
+     * Check every line against the live catalog: new prices are taken, products that are
+     * gone are removed and quantities above the stock are cut back. Out-of-stock lines stay
+     * (they may come back) but fail validation. Returns validateCart()'s result plus the
+     * changes made, as messages for the shopper.
+     */
+    async revalidateCart() {
+        const products = {};
+        await Promise.all([...new Set(this.items.map(item => item.id))].map(id =>
+            window.API.getProduct(id, { fresh: true })
+                .then(product => { products[id] = product; })
+                .catch(error => {
+                    // Gone for good; other failures leave the line as it was and the server checks again
+                    if (error.status === 404) products[id] = null;
+                })
+        ));
+
+        const changes = [];
+        const removed = [];
+        this.items.forEach(item => {
+            const product = products[item.id];
+            const title = window.Utils.escapeHTML(String(item.title));
+            if (product === undefined) return;
+
+            if (product === null) {
+                removed.push(item.key);
+                changes.push(`${title} is no longer available and was removed`);
+                return;
+            }
+
+            const fields = this.pickProductFields(product);
+            Object.assign(item, { stock: fields.stock, maxQuantity: fields.maxQuantity });
+            if (fields.price !== undefined && fields.price !== item.basePrice) {
+                const previous = item.price;
+                item.basePrice = fields.price;
+                item.price = this.roundPrice(fields.price + (item.optionsPrice || 0) + (item.personalizationPrice || 0));
+                item.updatedAt = Date.now();
+                changes.push(`${title} is now ${this.formatPrice(item.price)} (was ${this.formatPrice(previous)})`);
+            }
+        });
+
+        if (removed.length > 0) {
+            this.items = this.items.filter(item => !removed.includes(item.key));
+            this.markRemoved(removed);
+            removed.forEach(key => this.syncChange(() => window.API.removeCartItem(key)));
+        }
+
+        this.items.forEach(item => {
+            const available = this.getAvailableQuantity(item);
+            if (available > 0 && item.quantity > available) {
+                item.quantity = available;
+                item.updatedAt = Date.now();
+                changes.push(`${window.Utils.escapeHTML(String(item.title))} was reduced to ${available}`);
+                this.syncChange(() => window.API.updateCartItem(item.key, available));
+            }
+        });
+
+        this.saveCart();
+        this.updateCartUI();
+
+        return { ...this.validateCart(), changes };
+    }
 }
 
 // Export for use in main.js
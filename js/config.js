@@ -0,0 +1,295 @@
+/**
+ * Config Service - Central settings for every component, merged from built-in defaults,
+ * a config document (inline <script type="application/json" id="app-config"> and/or the
+ * JSON file it points to with data-src), the active environment profile and QA overrides
+ */
+
+class Config {
+    constructor() {
+        this.overridesKey = 'sevenfish_config_overrides';
+        this.document = {};   // { hosts, defaults, profiles } as loaded
+        this.overrides = {};  // Flat { 'cart.taxRate': 0.1 } map from the URL / localStorage
+        this.values = {};
+        this.environment = 'prod';
+        this.ready = this.init();
+    }
+
+    async init() {
+        const element = document.querySelector('script#app-config[type="application/json"]');
+        const inline = element ? this.parseDocument(element.textContent) : {};
+
+        // Inline settings are usable straight away; a shared file arrives later
+        this.apply(inline);
+
+        if (element && element.dataset.src) {
+            try {
+                const response = await fetch(element.dataset.src, { credentials: 'same-origin' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                // The page's inline settings win over the shared file
+                this.apply(Config.merge(await response.json(), inline));
+            } catch (error) {
+                console.warn(`Failed to load config from ${element.dataset.src}:`, error);
+            }
+        }
+
+        return this;
+    }
+
+    parseDocument(text) {
+        try {
+            return JSON.parse(text) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid inline config:', error);
+            return {};
+        }
+    }
+
+    // Environment
+    detectEnvironment(doc) {
+        const hostname = window.location.hostname;
+        const hosts = doc.hosts || {};
+
+        if (hosts[hostname]) return hosts[hostname];
+        if (doc.environment) return doc.environment;
+        if (window.location.protocol === 'file:' || ['localhost', '127.0.0.1', ''].includes(hostname)) {
+            return 'dev';
+        }
+        return 'prod';
+    }
+
+    resolve(doc, environment, overrides) {
+        const profiles = Config.merge(Config.PROFILES, doc.profiles || {});
+        const values = Config.merge(Config.merge(Config.DEFAULTS, doc.defaults || {}), profiles[environment] || {});
+
+        Object.keys(overrides).forEach(path => {
+            if (path !== 'env') {
+                Config.setPath(values, path, this.coerce(overrides[path], Config.getPath(values, path)));
+            }
+        });
+
+        return values;
+    }
+
+    apply(doc) {
+        const previous = this.values;
+        const detected = this.detectEnvironment(doc);
+
+        this.document = doc;
+
+        // Production ignores overrides unless its profile opts in, so a crafted link
+        // can't point a customer's API calls somewhere else
+        const base = this.resolve(doc, detected, {});
+        this.overrides = base.allowOverrides ? this.loadOverrides() : {};
+        this.environment = this.overrides.env || detected;
+        this.values = this.resolve(doc, this.environment, this.overrides);
+
+        const changed = Config.diff(previous, this.values);
+        if (changed.length > 0 && Object.keys(previous).length > 0) {
+            window.dispatchEvent(new CustomEvent('configChanged', {
+                detail: { environment: this.environment, changed }
+            }));
+        }
+    }
+
+    // QA overrides: ?env=staging&config.cart.taxRate=0.1 are remembered until ?config=reset
+    loadOverrides() {
+        const overrides = { ...window.Utils.storage.get(this.overridesKey, {}) };
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.get('config') === 'reset') {
+            window.Utils.storage.remove(this.overridesKey);
+            return {};
+        }
+
+        let fromURL = false;
+        params.forEach((value, key) => {
+            if (key === 'env') {
+                overrides.env = value;
+                fromURL = true;
+            } else if (key.startsWith('config.')) {
+                overrides[key.slice('config.'.length)] = value;
+                fromURL = true;
+            }
+        });
+
+        if (fromURL) {
+            window.Utils.storage.set(this.overridesKey, overrides);
+        }
+        return overrides;
+    }
+
+    setOverride(path, value) {
+        const overrides = { ...window.Utils.storage.get(this.overridesKey, {}), [path]: value };
+        window.Utils.storage.set(this.overridesKey, overrides);
+        this.apply(this.document);
+    }
+
+    clearOverrides() {
+        window.Utils.storage.remove(this.overridesKey);
+        this.apply(this.document);
+    }
+
+    // Override values are strings from the URL; give them the type of the value they replace
+    coerce(value, reference) {
+        if (typeof value !== 'string' || reference === undefined || typeof reference === 'string') {
+            return value;
+        }
+        if (typeof reference === 'number') {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : reference;
+        }
+        if (typeof reference === 'boolean') {
+            return ['true', '1', 'on', 'yes'].includes(value.toLowerCase());
+        }
+        return window.Utils.parseJSON(value, reference);
+    }
+
+    // Typed accessors
+    get(path, fallback = undefined) {
+        const value = Config.getPath(this.values, path);
+        return value === undefined ? fallback : value;
+    }
+
+    getTyped(path, type, fallback) {
+        const value = this.get(path);
+        if (value === undefined || value === null) return fallback;
+
+        const matches = type === 'array' ? Array.isArray(value) : typeof value === type;
+        if (!matches) {
+            console.warn(`Config ${path} should be a ${type}, got ${JSON.stringify(value)}`);
+            return fallback;
+        }
+        return value;
+    }
+
+    getString(path, fallback = null) {
+        return this.getTyped(path, 'string', fallback);
+    }
+
+    getNumber(path, fallback = 0) {
+        return this.getTyped(path, 'number', fallback);
+    }
+
+    getBoolean(path, fallback = false) {
+        return this.getTyped(path, 'boolean', fallback);
+    }
+
+    getObject(path, fallback = {}) {
+        return this.getTyped(path, 'object', fallback);
+    }
+
+    getArray(path, fallback = []) {
+        return this.getTyped(path, 'array', fallback);
+    }
+
+    isFeatureEnabled(name) {
+        return this.getBoolean(`features.${name}`, false);
+    }
+
+    getKey(name) {
+        return this.getString(`keys.${name}`, null);
+    }
+
+    // Helpers
+    static getPath(object, path) {
+        return path.split('.').reduce((value, key) =>
+            value !== undefined && value !== null ? value[key] : undefined, object);
+    }
+
+    static setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((node, key) => {
+            if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+            return node[key];
+        }, object);
+        target[last] = value;
+    }
+
+    // Deep merge of plain objects; arrays and scalars from source replace target's
+    static merge(target, source) {
+        const result = { ...target };
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            result[key] = isObject && result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])
+                ? Config.merge(result[key], value)
+                : value;
+        });
+        return result;
+    }
+
+    // Dotted paths whose values differ between two resolved configs
+    static diff(before, after, prefix = '') {
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const changed = [];
+
+        keys.forEach(key => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const a = before ? before[key] : undefined;
+            const b = after ? after[key] : undefined;
+            const bothObjects = a && b && typeof a === 'object' && typeof b === 'object' && !Array.isArray(a);
+
+            if (bothObjects) {
+                changed.push(...Config.diff(a, b, path));
+            } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+                changed.push(path);
+            }
+        });
+
+        return changed;
+    }
+}
+
+// Built-in settings; the config document's defaults and profiles are merged over these
+Config.DEFAULTS = {
+    allowOverrides: true,
+    api: {
+        baseURL: '/api',
+        timeout: 30000,
+        graphqlEndpoint: '/graphql'
+    },
+    cart: {
+        taxRate: 0.08, // US sales tax estimate until the shopper picks a state
+        maxQuantity: 10, // Per line, for products without their own maxQuantity
+        lowStockThreshold: 5, // Show "Only N left" at or below this many units
+        mergeStrategy: 'sum' // Guest lines already in the account cart on sign-in: sum, max, guest or account
+    },
+    shipping: {
+        defaultCountry: 'US',   // When the browser locale's region isn't one we ship to
+        defaultItemWeight: 0.8, // kg, for products without a weight
+        regions: {},            // Overrides for Shipping.REGIONS / Shipping.COUNTRIES rate tables
+        countries: {}
+    },
+    tax: {
+        exemptCategories: [], // Untaxed everywhere; jurisdictions can add their own
+        jurisdictions: {}     // Overrides for Tax.JURISDICTIONS, e.g. { "DE": { "rate": 0.19 } }
+    },
+    currency: {
+        default: 'USD',                     // For shipping countries without a supported currency
+        maxRateAge: 24 * 60 * 60 * 1000,    // Older exchange rates are shown as approximate
+        rates: {},                          // Overrides for Currency.FALLBACK_RATES, per 1 USD
+        currencies: {}                      // Overrides for Currency.CURRENCIES, e.g. { "SEK": { "decimals": 0 } }
+    },
+    search: {
+        suggestionDelay: 300,
+        recentSearchLimit: 10
+    },
+    notifications: {
+        durations: { success: 3000, error: 5000, warning: 4000, info: 3000 }
+    },
+    features: {},
+    keys: {},
+    promotions: [] // Automatic promotions, and codes that can be accepted while offline
+};
+
+Config.PROFILES = {
+    dev: {},
+    staging: {},
+    prod: { allowOverrides: false }
+};
+
+// Create global instance
+window.Config = new Config();
@@ -0,0 +1,217 @@
+/**
+ * Currency Service - Shows prices in the shopper's currency: detection from the shipping
+ * country, a persisted choice, exchange rates from the API with a stale fallback and
+ * per-currency rounding. Catalog prices and orders stay in the base currency (USD).
+ */
+
+class Currency {
+    constructor() {
+        this.storageKey = 'sevenfish_currency';
+        this.ratesKey = 'sevenfish_exchange_rates';
+        this.base = 'USD';
+        this.code = this.base;
+        this.chosen = false;  // Explicit choice; otherwise the currency follows the shipping country
+        this.rates = null;    // { base, rates: { EUR: 0.92, ... }, updatedAt, source: 'api' | 'stored' | 'fallback' }
+        this.loadPromise = null;
+        this.init();
+    }
+
+    init() {
+        const saved = window.Utils.storage.get(this.storageKey, {}) || {};
+
+        if (this.isSupported(saved.code)) {
+            this.code = saved.code;
+            this.chosen = true;
+        } else {
+            this.code = this.detectCurrency();
+        }
+
+        // Last rates we fetched, until fresh ones arrive; built-in ones before that
+        const stored = window.Utils.storage.get(this.ratesKey, null);
+        this.rates = stored && stored.rates
+            ? { ...stored, source: 'stored' }
+            : { base: this.base, rates: this.getFallbackRates(), updatedAt: null, source: 'fallback' };
+
+        window.addEventListener('shippingChanged', (e) => {
+            if (!this.chosen) this.apply(this.getCountryCurrency(e.detail.country));
+        });
+    }
+
+    // The shipping country's currency (itself from the browser locale), or the configured default
+    detectCurrency() {
+        const country = window.Shipping ? window.Shipping.country : null;
+        return this.getCountryCurrency(country);
+    }
+
+    getCountryCurrency(country) {
+        const code = Currency.COUNTRY_CURRENCIES[country];
+        return this.isSupported(code) ? code : window.Config.getString('currency.default', this.base);
+    }
+
+    getCurrencies() {
+        return Config.merge(Currency.CURRENCIES, window.Config.getObject('currency.currencies', {}));
+    }
+
+    isSupported(code) {
+        return !!code && Object.prototype.hasOwnProperty.call(this.getCurrencies(), code);
+    }
+
+    // Persisted choice; pass null to follow the shipping country again
+    setCurrency(code) {
+        if (code === null) {
+            this.chosen = false;
+            window.Utils.storage.remove(this.storageKey);
+            this.apply(this.detectCurrency());
+            return;
+        }
+        if (!this.isSupported(code)) return;
+
+        this.chosen = true;
+        window.Utils.storage.set(this.storageKey, { code });
+        this.apply(code);
+    }
+
+    apply(code) {
+        if (code === this.code) return;
+
+        this.code = code;
+        window.dispatchEvent(new CustomEvent('currencyChanged', { detail: { currency: code } }));
+    }
+
+    // Rates
+    // Fetched once per page; failures keep whatever table we already have
+    loadRates() {
+        if (this.loadPromise) return this.loadPromise;
+
+        this.loadPromise = window.API.getExchangeRates()
+            .then(response => {
+                this.rates = {
+                    base: response.base || this.base,
+                    rates: response.rates || {},
+                    updatedAt: response.updatedAt || new Date().toISOString(),
+                    source: 'api'
+                };
+                window.Utils.storage.set(this.ratesKey, {
+                    base: this.rates.base,
+                    rates: this.rates.rates,
+                    updatedAt: this.rates.updatedAt
+                });
+                window.dispatchEvent(new CustomEvent('currencyChanged', { detail: { currency: this.code, rates: true } }));
+                return this.rates;
+            })
+            .catch(error => {
+                console.warn('Failed to load exchange rates, using the last known rates:', error);
+                this.loadPromise = null; // Try again next time
+                return this.rates;
+            });
+
+        return this.loadPromise;
+    }
+
+    // Built-in rates, overridable from the config's "currency.rates"
+    getFallbackRates() {
+        return { ...Currency.FALLBACK_RATES, ...window.Config.getObject('currency.rates', {}) };
+    }
+
+    getRate(code = this.code) {
+        if (code === this.rates.base) return 1;
+
+        const rate = this.rates.rates[code];
+        return rate !== undefined ? rate : this.getFallbackRates()[code];
+    }
+
+    // Rates older than currency.maxRateAge (or the built-in ones) are shown as approximate
+    isStale() {
+        if (this.rates.source === 'fallback' || !this.rates.updatedAt) return true;
+
+        const age = Date.now() - new Date(this.rates.updatedAt).getTime();
+        return age > window.Config.getNumber('currency.maxRateAge', 24 * 60 * 60 * 1000);
+    }
+
+    // Conversion
+    // A base-currency amount in the shopper's currency, rounded by that currency's rules
+    convert(amount, code = this.code) {
+        const rate = this.getRate(code);
+        if (rate === undefined) return amount;
+        return this.round(amount * rate, code);
+    }
+
+    // Currencies round to their minor unit (none for JPY/KRW), or to a cash increment such as CHF's 0.05
+    round(amount, code = this.code) {
+        const currency = this.getCurrencies()[code] || {};
+        const increment = currency.increment || Math.pow(10, -(currency.decimals !== undefined ? currency.decimals : 2));
+        // Absorb floating point noise such as 1.005 * 100 = 100.49999999999999
+        const steps = Math.round(Math.round(amount / increment * 1e6) / 1e6);
+        return Number((steps * increment).toFixed(currency.decimals !== undefined ? currency.decimals : 2));
+    }
+
+    // Formatting
+    // Base-currency amount, converted and formatted: format(49.70) -> '€45.72'
+    format(amount, code = this.code) {
+        return this.formatAmount(this.convert(amount, code), code);
+    }
+
+    // Amount already in the given currency, e.g. a converted unit price times a quantity
+    formatAmount(amount, code = this.code) {
+        return window.Utils.formatCurrency(amount, code, navigator.language || 'en-US');
+    }
+
+    formatRange(min, max, code = this.code) {
+        return min === max ? this.format(min, code) : `${this.format(min, code)} - ${this.format(max, code)}`;
+    }
+
+    // 'Prices in EUR use 1 USD = 0.92 EUR (approximate)' for the cart summary, or '' in the base currency
+    describeRate(code = this.code) {
+        if (code === this.base) return '';
+
+        const rate = this.getRate(code);
+        return `Prices in ${code} use 1 ${this.base} = ${rate} ${code}${this.isStale() ? ' (approximate)' : ''}`;
+    }
+}
+
+// decimals is the minor unit shown; increment rounds to a cash step instead
+Currency.CURRENCIES = {
+    USD: { name: 'US Dollar', decimals: 2 },
+    CAD: { name: 'Canadian Dollar', decimals: 2 },
+    MXN: { name: 'Mexican Peso', decimals: 2 },
+    EUR: { name: 'Euro', decimals: 2 },
+    GBP: { name: 'British Pound', decimals: 2 },
+    CHF: { name: 'Swiss Franc', decimals: 2, increment: 0.05 },
+    SEK: { name: 'Swedish Krona', decimals: 2 },
+    DKK: { name: 'Danish Krone', decimals: 2 },
+    NOK: { name: 'Norwegian Krone', decimals: 2 },
+    PLN: { name: 'Polish Zloty', decimals: 2 },
+    SGD: { name: 'Singapore Dollar', decimals: 2 },
+    MYR: { name: 'Malaysian Ringgit', decimals: 2 },
+    PHP: { name: 'Philippine Peso', decimals: 2 },
+    THB: { name: 'Thai Baht', decimals: 2 },
+    VND: { name: 'Vietnamese Dong', decimals: 0 },
+    KRW: { name: 'South Korean Won', decimals: 0 },
+    JPY: { name: 'Japanese Yen', decimals: 0 },
+    SAR: { name: 'Saudi Riyal', decimals: 2 },
+    QAR: { name: 'Qatari Riyal', decimals: 2 },
+    KWD: { name: 'Kuwaiti Dinar', decimals: 3 },
+    AED: { name: 'UAE Dirham', decimals: 2 },
+    AUD: { name: 'Australian Dollar', decimals: 2 },
+    NZD: { name: 'New Zealand Dollar', decimals: 2 }
+};
+
+Currency.COUNTRY_CURRENCIES = {
+    US: 'USD', CA: 'CAD', MX: 'MXN',
+    GB: 'GBP', CH: 'CHF', SE: 'SEK', DK: 'DKK', NO: 'NOK', PL: 'PLN',
+    DE: 'EUR', FR: 'EUR', IT: 'EUR', ES: 'EUR', NL: 'EUR', BE: 'EUR', AT: 'EUR',
+    FI: 'EUR', EE: 'EUR', LV: 'EUR', LT: 'EUR', PT: 'EUR', GR: 'EUR',
+    SG: 'SGD', MY: 'MYR', PH: 'PHP', TH: 'THB', VN: 'VND', KR: 'KRW', JP: 'JPY',
+    SA: 'SAR', QA: 'QAR', KW: 'KWD', AE: 'AED',
+    AU: 'AUD', NZ: 'NZD'
+};
+
+// Used until the API has answered once; per 1 USD
+Currency.FALLBACK_RATES = {
+    CAD: 1.37, MXN: 18.9, EUR: 0.92, GBP: 0.79, CHF: 0.88, SEK: 10.6, DKK: 6.87, NOK: 10.8, PLN: 3.98,
+    SGD: 1.34, MYR: 4.45, PHP: 57.5, THB: 35.4, VND: 25100, KRW: 1370, JPY: 150,
+    SAR: 3.75, QAR: 3.64, KWD: 0.307, AED: 3.6725, AUD: 1.52, NZD: 1.66
+};
+
+// Create global instance
+window.Currency = new Currency();
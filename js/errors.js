@@ -0,0 +1,237 @@
+/**
+ * API Errors - Typed error hierarchy with a normalized shape for API failures
+ */
+
+class APIError extends Error {
+    constructor(message, options = {}) {
+        super(message || 'An error occurred');
+        this.name = 'APIError';
+        this.status = options.status || null;
+        this.statusText = options.statusText || '';
+        this.code = options.code || null;
+        this.data = options.data || {};
+        this.fieldErrors = options.fieldErrors || {};
+        this.endpoint = options.endpoint || null;
+        this.retryAfter = options.retryAfter !== undefined ? options.retryAfter : null; // seconds
+        this.retryable = false;
+        this.cancelled = false;
+    }
+
+    hasFieldErrors() {
+        return Object.keys(this.fieldErrors).length > 0;
+    }
+
+    // Flat list in the shape Modal.showValidationErrors() expects
+    getFieldErrors() {
+        return Object.keys(this.fieldErrors).map(field => ({
+            field,
+            message: this.fieldErrors[field][0]
+        }));
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            status: this.status,
+            code: this.code,
+            retryAfter: this.retryAfter,
+            fieldErrors: this.fieldErrors,
+            retryable: this.retryable,
+            data: this.data
+        };
+    }
+
+    // Build the matching subclass for an HTTP error response
+    static fromResponse(response, data = {}, message = '', extra = {}) {
+        // Empty messages fall back to each subclass's default wording
+        const text = message || undefined;
+        const options = {
+            status: response.status,
+            statusText: response.statusText,
+            code: data.code || data.error_code || null,
+            data,
+            fieldErrors: APIError.normalizeFieldErrors(data),
+            endpoint: response.url || null,
+            ...extra
+        };
+        const ErrorClass = APIError.classForStatus(response.status);
+
+        return new ErrorClass(text, options);
+    }
+
+    static classForStatus(status) {
+        if (status === 400 || status === 422) return ValidationError;
+        if (status === 401 || status === 403) return AuthError;
+        if (status === 429) return RateLimitError;
+        if (status >= 500) return ServerError;
+        return APIError;
+    }
+
+    /**
+     * Build an error for a GraphQL response that came back (usually with HTTP 200)
+     * carrying an errors array. extensions.code picks the subclass, so callers can
+     * handle GraphQL and REST failures alike; unknown codes become a GraphQLError.
+     * Field errors come from extensions.fieldErrors or, for BAD_USER_INPUT, from
+     * extensions.field / the last segment of the error's path.
+     */
+    static fromGraphQLErrors(errors, data = null, extra = {}) {
+        const first = errors[0] || {};
+        const extensions = first.extensions || {};
+        const code = extensions.code || null;
+        const status = extensions.status || APIError.GRAPHQL_STATUS[code] || null;
+        const fieldErrors = {};
+
+        errors.forEach(error => {
+            const errorExtensions = error.extensions || {};
+            const nested = APIError.normalizeFieldErrors({ fieldErrors: errorExtensions.fieldErrors });
+            Object.keys(nested).forEach(field => {
+                fieldErrors[field] = (fieldErrors[field] || []).concat(nested[field]);
+            });
+
+            if (errorExtensions.code === 'BAD_USER_INPUT' && !errorExtensions.fieldErrors) {
+                const field = errorExtensions.field || (error.path && error.path[error.path.length - 1]);
+                if (typeof field === 'string') {
+                    fieldErrors[field] = (fieldErrors[field] || []).concat(error.message);
+                }
+            }
+        });
+
+        const options = {
+            status,
+            code,
+            data: { data, errors },
+            fieldErrors,
+            retryAfter: extensions.retryAfter,
+            ...extra
+        };
+        const ErrorClass = status ? APIError.classForStatus(status) : GraphQLError;
+        const error = new ErrorClass(first.message || undefined, options);
+
+        error.graphQLErrors = errors;
+        return error;
+    }
+
+    /**
+     * Accepts the common server shapes and returns { field: [messages] }:
+     *   { errors: { email: ['Taken'] } }, { errors: { email: 'Taken' } },
+     *   { errors: [{ field: 'email', message: 'Taken' }] }, { fieldErrors: ... }, { details: [...] }
+     */
+    static normalizeFieldErrors(data) {
+        const source = data && (data.errors || data.fieldErrors || data.field_errors || data.details);
+        const fieldErrors = {};
+        if (!source || typeof source !== 'object') return fieldErrors;
+
+        const add = (field, message) => {
+            if (!field || !message) return;
+            fieldErrors[field] = fieldErrors[field] || [];
+            fieldErrors[field].push(String(message));
+        };
+
+        if (Array.isArray(source)) {
+            source.forEach(item => {
+                if (item && typeof item === 'object') {
+                    add(item.field || item.path || item.param || item.name, item.message || item.msg);
+                }
+            });
+        } else {
+            Object.keys(source).forEach(field => {
+                const messages = Array.isArray(source[field]) ? source[field] : [source[field]];
+                messages.forEach(message => add(field, message));
+            });
+        }
+
+        return fieldErrors;
+    }
+}
+
+// Conventional GraphQL error codes and the HTTP status each one stands for
+APIError.GRAPHQL_STATUS = {
+    BAD_USER_INPUT: 422,
+    GRAPHQL_VALIDATION_FAILED: 400,
+    UNAUTHENTICATED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    RATE_LIMITED: 429,
+    INTERNAL_SERVER_ERROR: 500
+};
+
+// The request never reached the server (offline, DNS, CORS)
+class NetworkError extends APIError {
+    constructor(message = 'Network error. Please check your connection.', options = {}) {
+        super(message, options);
+        this.name = 'NetworkError';
+        this.retryable = true;
+        this.cause = options.cause || null;
+    }
+}
+
+class TimeoutError extends APIError {
+    constructor(message = 'Request timed out', options = {}) {
+        super(message, options);
+        this.name = 'TimeoutError';
+        this.reason = 'timeout';
+        this.retryable = true;
+    }
+}
+
+// Cancelled by the caller or superseded on a channel
+class AbortError extends APIError {
+    constructor(message = 'Request cancelled', options = {}) {
+        super(message, options);
+        this.name = 'AbortError';
+        this.reason = options.reason || 'cancelled';
+        this.cancelled = true;
+    }
+}
+
+class ValidationError extends APIError {
+    constructor(message = 'Please correct the highlighted fields.', options = {}) {
+        super(message, options);
+        this.name = 'ValidationError';
+    }
+}
+
+class AuthError extends APIError {
+    constructor(message = 'You are not authorized to perform this action.', options = {}) {
+        super(message, options);
+        this.name = 'AuthError';
+        this.forbidden = this.status === 403;
+    }
+}
+
+class RateLimitError extends APIError {
+    constructor(message = 'Too many requests. Please slow down.', options = {}) {
+        super(message, options);
+        this.name = 'RateLimitError';
+        this.retryable = true;
+    }
+}
+
+class ServerError extends APIError {
+    constructor(message = 'Server error. Please try again later.', options = {}) {
+        super(message, options);
+        this.name = 'ServerError';
+        this.retryable = true;
+    }
+}
+
+// A GraphQL operation failed without a code that maps onto an HTTP status
+class GraphQLError extends APIError {
+    constructor(message = 'The request could not be completed.', options = {}) {
+        super(message, options);
+        this.name = 'GraphQLError';
+        this.graphQLErrors = [];
+    }
+}
+
+// Export for use in api.js and components
+window.APIError = APIError;
+window.NetworkError = NetworkError;
+window.TimeoutError = TimeoutError;
+window.AbortError = AbortError;
+window.ValidationError = ValidationError;
+window.AuthError = AuthError;
+window.RateLimitError = RateLimitError;
+window.ServerError = ServerError;
+window.GraphQLError = GraphQLError;
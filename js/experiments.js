@@ -0,0 +1,344 @@
+/**
+ * Experiments Service - Feature flags and A/B tests with deterministic bucketing on a
+ * persisted anonymous ID, percentage rollouts, targeting rules, exposure tracking
+ * and a debug overlay for forcing variants
+ */
+
+class Experiments {
+    constructor() {
+        this.anonymousIdKey = 'sevenfish_anonymous_id';
+        this.overridesKey = 'sevenfish_experiment_overrides';
+        this.definitions = {};
+        this.context = {};
+        this.exposed = new Set(); // One exposure event per experiment and variant per page
+        this.overlay = null;
+        this.init();
+    }
+
+    init() {
+        this.anonymousId = this.getAnonymousId();
+
+        // Forcing variants is a QA tool: production ignores it like it ignores config overrides,
+        // so a crafted link can't hand a shopper another variant (or a lower free-shipping threshold)
+        if (!this.allowsOverrides()) return;
+
+        this.loadURLOverrides();
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('experiments') === 'debug') {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => this.showDebugOverlay());
+            } else {
+                this.showDebugOverlay();
+            }
+        }
+    }
+
+    getAnonymousId() {
+        let id = window.Utils.storage.get(this.anonymousIdKey, null);
+        if (!id) {
+            id = window.Utils.generateUUID();
+            window.Utils.storage.set(this.anonymousIdKey, id);
+        }
+        return id;
+    }
+
+    /**
+     * Experiments come from config ("experiments") and can also be defined in code:
+     *   { variants: [{ name, weight, value }], rollout: 0-100, targeting: { country, device, loggedIn }, enabled }
+     */
+    define(name, definition) {
+        this.definitions[name] = definition;
+    }
+
+    getDefinition(name) {
+        return this.definitions[name] || window.Config.get(`experiments.${name}`, null);
+    }
+
+    getExperimentNames() {
+        return [...new Set([
+            ...Object.keys(window.Config.getObject('experiments', {})),
+            ...Object.keys(this.definitions)
+        ])];
+    }
+
+    // Extra targeting attributes, e.g. setContext({ country: 'CA' }) once the shopper picks one
+    setContext(context) {
+        this.context = { ...this.context, ...context };
+    }
+
+    getContext() {
+        const device = window.Utils.device.isTablet()
+            ? 'tablet'
+            : (window.Utils.device.isMobile() ? 'mobile' : 'desktop');
+
+        // Without an explicit country, fall back on the browser locale's region
+        const region = (navigator.language || '').split('-')[1];
+
+        return {
+            country: region ? region.toUpperCase() : null,
+            device,
+            loggedIn: !!(window.API && window.API.authToken),
+            ...this.context
+        };
+    }
+
+    matchesTargeting(targeting = {}) {
+        const context = this.getContext();
+
+        return Object.keys(targeting).every(attribute => {
+            const expected = targeting[attribute];
+            if (Array.isArray(expected)) {
+                return expected.includes(context[attribute]);
+            }
+            return context[attribute] === expected;
+        });
+    }
+
+    // Bucketing: FNV-1a of the anonymous ID salted per experiment, mapped onto 0-9999
+    getBucket(salt) {
+        const input = `${salt}:${this.anonymousId}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) % 10000;
+    }
+
+    // Rollout and variant use separate salts so widening a rollout doesn't reshuffle variants
+    isInRollout(name, definition) {
+        const rollout = definition.rollout !== undefined ? definition.rollout : 100;
+        return this.getBucket(`${name}:rollout`) < rollout * 100;
+    }
+
+    pickVariant(name, variants) {
+        const total = variants.reduce((sum, variant) => sum + (variant.weight !== undefined ? variant.weight : 1), 0);
+        const point = this.getBucket(`${name}:variant`) / 10000 * total;
+
+        let cumulative = 0;
+        for (const variant of variants) {
+            cumulative += variant.weight !== undefined ? variant.weight : 1;
+            if (point < cumulative) return variant;
+        }
+        return variants[variants.length - 1];
+    }
+
+    // Assignment without side effects: { variant, value, forced } or null when not enrolled
+    evaluate(name) {
+        const definition = this.getDefinition(name);
+        if (!definition || !Array.isArray(definition.variants) || definition.variants.length === 0) {
+            return null;
+        }
+
+        const forced = this.getOverrides()[name];
+        const forcedVariant = forced && definition.variants.find(variant => variant.name === forced);
+        if (forcedVariant) {
+            return { variant: forcedVariant.name, value: forcedVariant.value, forced: true };
+        }
+
+        if (definition.enabled === false) return null;
+        if (!this.matchesTargeting(definition.targeting)) return null;
+        if (!this.isInRollout(name, definition)) return null;
+
+        const variant = this.pickVariant(name, definition.variants);
+        return { variant: variant.name, value: variant.value, forced: false };
+    }
+
+    // Call where the variant is actually shown: this is what records the exposure
+    getVariant(name, options = {}) {
+        const assignment = this.evaluate(name);
+        if (!assignment) return null;
+
+        if (options.track !== false) {
+            this.trackExposure(name, assignment);
+        }
+        return assignment.variant;
+    }
+
+    getValue(name, fallback = null, options = {}) {
+        const assignment = this.evaluate(name);
+        if (!assignment) return fallback;
+
+        if (options.track !== false) {
+            this.trackExposure(name, assignment);
+        }
+        return assignment.value !== undefined ? assignment.value : fallback;
+    }
+
+    trackExposure(name, assignment) {
+        const key = `${name}:${assignment.variant}`;
+        if (this.exposed.has(key)) return;
+        this.exposed.add(key);
+
+        window.API.trackEvent('experiment_exposure', {
+            experiment: name,
+            variant: assignment.variant,
+            forced: assignment.forced,
+            anonymousId: this.anonymousId
+        });
+    }
+
+    /**
+     * Feature flags read config "features": true/false, or
+     * { rollout: 0-100, targeting: {...}, enabled } for gradual and targeted launches.
+     */
+    isEnabled(flag) {
+        const forced = this.getOverrides()[`flag:${flag}`];
+        if (forced !== undefined) return forced === 'on';
+
+        const definition = window.Config.get(`features.${flag}`, false);
+        if (typeof definition === 'boolean') return definition;
+        if (!definition || typeof definition !== 'object' || definition.enabled === false) return false;
+
+        return this.matchesTargeting(definition.targeting) && this.isInRollout(`flag:${flag}`, definition);
+    }
+
+    getFlagNames() {
+        return Object.keys(window.Config.getObject('features', {}));
+    }
+
+    // Forced variants (debug overlay, ?variant.<experiment>=<name>, ?flag.<name>=on|off)
+    allowsOverrides() {
+        return window.Config.getBoolean('allowOverrides', false);
+    }
+
+    getOverrides() {
+        if (!this.allowsOverrides()) return {};
+        return window.Utils.storage.get(this.overridesKey, {}) || {};
+    }
+
+    setOverride(key, value) {
+        const overrides = this.getOverrides();
+        if (value === null || value === undefined || value === '') {
+            delete overrides[key];
+        } else {
+            overrides[key] = value;
+        }
+        window.Utils.storage.set(this.overridesKey, overrides);
+
+        window.dispatchEvent(new CustomEvent('experimentsChanged', { detail: { key, value } }));
+    }
+
+    clearOverrides() {
+        window.Utils.storage.remove(this.overridesKey);
+        window.dispatchEvent(new CustomEvent('experimentsChanged', { detail: { key: null, value: null } }));
+    }
+
+    loadURLOverrides() {
+        const params = new URLSearchParams(window.location.search);
+        params.forEach((value, key) => {
+            if (key.startsWith('variant.')) {
+                this.setOverride(key.slice('variant.'.length), value);
+            } else if (key.startsWith('flag.')) {
+                this.setOverride(`flag:${key.slice('flag.'.length)}`, value);
+            }
+        });
+    }
+
+    // Debug overlay
+    showDebugOverlay() {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'experiments-debug';
+            this.overlay.setAttribute('role', 'dialog');
+            this.overlay.setAttribute('aria-label', 'Experiments debug panel');
+            this.overlay.style.cssText = 'position:fixed;bottom:16px;left:16px;z-index:10000;max-width:360px;' +
+                'max-height:70vh;overflow:auto;padding:12px;background:#fff;border:1px solid #ccc;' +
+                'border-radius:8px;box-shadow:0 4px 16px rgba(0,0,0,.15);font:13px/1.4 sans-serif;';
+
+            this.overlay.addEventListener('change', (e) => {
+                const select = e.target.closest('select[data-override]');
+                if (select) {
+                    this.setOverride(select.dataset.override, select.value);
+                    this.renderDebugOverlay();
+                }
+            });
+
+            this.overlay.addEventListener('click', (e) => {
+                if (e.target.closest('.experiments-debug-reset')) {
+                    this.clearOverrides();
+                    this.renderDebugOverlay();
+                } else if (e.target.closest('.experiments-debug-reload')) {
+                    window.location.reload();
+                } else if (e.target.closest('.experiments-debug-close')) {
+                    this.hideDebugOverlay();
+                }
+            });
+
+            document.body.appendChild(this.overlay);
+        }
+
+        this.renderDebugOverlay();
+    }
+
+    hideDebugOverlay() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    renderDebugOverlay() {
+        if (!this.overlay) return;
+
+        const escape = (text) => window.Utils.escapeHTML(String(text));
+        const overrides = this.getOverrides();
+        const context = this.getContext();
+
+        const experimentRows = this.getExperimentNames().map(name => {
+            const definition = this.getDefinition(name) || {};
+            const assignment = this.evaluate(name);
+            const options = (definition.variants || []).map(variant => `
+                <option value="${escape(variant.name)}" ${overrides[name] === variant.name ? 'selected' : ''}>${escape(variant.name)}</option>
+            `).join('');
+
+            return `
+                <tr>
+                    <td>${escape(name)}</td>
+                    <td>${assignment ? escape(assignment.variant) : '<em>not enrolled</em>'}</td>
+                    <td><select data-override="${escape(name)}"><option value="">auto</option>${options}</select></td>
+                </tr>
+            `;
+        }).join('');
+
+        const flagRows = this.getFlagNames().map(flag => {
+            const forced = overrides[`flag:${flag}`];
+            return `
+                <tr>
+                    <td>${escape(flag)}</td>
+                    <td>${this.isEnabled(flag) ? 'on' : 'off'}</td>
+                    <td>
+                        <select data-override="flag:${escape(flag)}">
+                            <option value="">auto</option>
+                            <option value="on" ${forced === 'on' ? 'selected' : ''}>on</option>
+                            <option value="off" ${forced === 'off' ? 'selected' : ''}>off</option>
+                        </select>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        this.overlay.innerHTML = `
+            <div style="display:flex;justify-content:space-between;align-items:center;">
+                <strong>Experiments</strong>
+                <button type="button" class="experiments-debug-close" aria-label="Close">&times;</button>
+            </div>
+            <p style="margin:4px 0;color:#666;">
+                ${escape(this.anonymousId)}<br>
+                ${escape(context.country || '??')} · ${escape(context.device)} · ${context.loggedIn ? 'logged in' : 'guest'}
+            </p>
+            <table style="width:100%;border-collapse:collapse;">
+                ${experimentRows || '<tr><td colspan="3">No experiments configured</td></tr>'}
+                ${flagRows ? `<tr><td colspan="3"><strong>Flags</strong></td></tr>${flagRows}` : ''}
+            </table>
+            <div style="margin-top:8px;display:flex;gap:8px;">
+                <button type="button" class="btn btn-outline experiments-debug-reset">Reset</button>
+                <button type="button" class="btn btn-primary experiments-debug-reload">Reload to apply</button>
+            </div>
+        `;
+    }
+}
+
+// Create global instance
+window.Experiments = new Experiments();
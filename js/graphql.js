@@ -0,0 +1,368 @@
+/**
+ * GraphQL Client - query/mutate over the API request pipeline with automatic
+ * persisted queries, operation batching and a normalized entity cache
+ */
+
+class GraphQLCache {
+    constructor() {
+        this.entities = new Map(); // 'Product:42' -> fields, nested entities stored as { __ref }
+        this.queries = new Map();  // operation key -> normalized result
+        this.watchers = new Set();
+    }
+
+    // 'Product:42' for objects carrying __typename and id; null for everything else
+    identify(object) {
+        if (!object || typeof object !== 'object' || !object.__typename) return null;
+        const id = object.id !== undefined ? object.id : object._id;
+        return id !== undefined && id !== null ? `${object.__typename}:${id}` : null;
+    }
+
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => GraphQLCache.stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key =>
+                `${JSON.stringify(key)}:${GraphQLCache.stableStringify(value[key])}`
+            ).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    // Normalization
+    normalize(value, changed) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.normalize(item, changed));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const fields = {};
+        Object.keys(value).forEach(field => {
+            fields[field] = this.normalize(value[field], changed);
+        });
+
+        const key = this.identify(value);
+        if (!key) return fields;
+
+        // Different queries select different fields of the same entity, so merge
+        const existing = this.entities.get(key) || {};
+        const merged = { ...existing, ...fields };
+        if (GraphQLCache.stableStringify(existing) !== GraphQLCache.stableStringify(merged)) {
+            this.entities.set(key, merged);
+            changed.add(key);
+        }
+
+        return { __ref: key };
+    }
+
+    // Returns undefined when a referenced entity has been evicted
+    denormalize(value, deps) {
+        if (Array.isArray(value)) {
+            const items = value.map(item => this.denormalize(item, deps));
+            return items.includes(undefined) ? undefined : items;
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        let fields = value;
+        if (value.__ref) {
+            deps.add(value.__ref);
+            fields = this.entities.get(value.__ref);
+            if (!fields) return undefined;
+        }
+
+        const result = {};
+        for (const field of Object.keys(fields)) {
+            result[field] = this.denormalize(fields[field], deps);
+            if (result[field] === undefined) return undefined;
+        }
+        return result;
+    }
+
+    // Query results
+    readQuery(key) {
+        if (!this.queries.has(key)) return null;
+        const data = this.denormalize(this.queries.get(key), new Set());
+        return data === undefined ? null : data;
+    }
+
+    writeQuery(key, data) {
+        const changed = new Set();
+        const normalized = this.normalize(data, changed);
+        let queryChanged = false;
+
+        if (key) {
+            const previous = this.queries.get(key);
+            queryChanged = GraphQLCache.stableStringify(previous) !== GraphQLCache.stableStringify(normalized);
+            this.queries.set(key, normalized);
+        }
+        this.broadcast(changed, queryChanged ? key : null);
+        return changed;
+    }
+
+    // Entities
+    readEntity(key) {
+        const fields = this.entities.get(key);
+        return fields ? this.denormalize(fields, new Set()) || null : null;
+    }
+
+    // Merge fields into an entity, e.g. after a REST call or a realtime message
+    writeEntity(object) {
+        const key = this.identify(object);
+        if (!key) {
+            throw new Error('writeEntity() needs an object with __typename and id');
+        }
+        this.writeQuery(null, object);
+        return key;
+    }
+
+    // Queries that referenced the entity read as missing until they are fetched again
+    evict(key) {
+        if (!this.entities.delete(key)) return;
+        this.broadcast(new Set([key]));
+    }
+
+    clear() {
+        this.entities.clear();
+        this.queries.clear();
+    }
+
+    // Watchers re-read their query whenever an entity it depends on changes
+    watch(key, callback) {
+        const watcher = { key, callback, deps: new Set() };
+        if (this.queries.has(key)) {
+            this.denormalize(this.queries.get(key), watcher.deps);
+        }
+        this.watchers.add(watcher);
+        return () => this.watchers.delete(watcher);
+    }
+
+    broadcast(changed, sourceKey = null) {
+        if (changed.size === 0 && !sourceKey) return;
+
+        this.watchers.forEach(watcher => {
+            const touched = watcher.key === sourceKey || [...changed].some(key => watcher.deps.has(key));
+            if (!touched || !this.queries.has(watcher.key)) return;
+
+            watcher.deps = new Set();
+            const data = this.denormalize(this.queries.get(watcher.key), watcher.deps);
+            watcher.callback(data === undefined ? null : data);
+        });
+
+        window.dispatchEvent(new CustomEvent('graphqlCacheUpdated', {
+            detail: { entities: [...changed] }
+        }));
+    }
+}
+
+class GraphQLClient {
+    constructor(api, options = {}) {
+        this.api = api;
+        this.endpoint = options.endpoint || '/graphql';
+        this.persistedQueries = options.persistedQueries !== false;
+        this.batching = options.batching !== false;
+        this.batchInterval = options.batchInterval || 10;
+        this.maxBatchSize = options.maxBatchSize || 10;
+        this.cache = new GraphQLCache();
+        this.hashes = new Map();
+        this.pending = [];
+        this.batchTimer = null;
+    }
+
+    getOperationName(document) {
+        const match = /\b(query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/.exec(document);
+        return match ? match[2] : null;
+    }
+
+    getOperationKey(document, variables = {}) {
+        return `${document.replace(/\s+/g, ' ').trim()}|${GraphQLCache.stableStringify(variables)}`;
+    }
+
+    // SHA-256 of the document, as used by Apollo-style automatic persisted queries
+    async getHash(document) {
+        if (this.hashes.has(document)) return this.hashes.get(document);
+        if (!window.crypto || !window.crypto.subtle) return null; // Insecure contexts can't hash
+
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(document));
+        const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        this.hashes.set(document, hash);
+        return hash;
+    }
+
+    /**
+     * Run a query. fetchPolicy:
+     *   cache-first  (default) - answer from the normalized cache when every entity is there
+     *   network-only - always fetch, then update the cache
+     *   no-cache     - always fetch and leave the cache alone
+     */
+    async query(document, variables = {}, options = {}) {
+        const fetchPolicy = options.fetchPolicy || 'cache-first';
+        const key = this.getOperationKey(document, variables);
+
+        if (fetchPolicy === 'cache-first') {
+            const cached = this.cache.readQuery(key);
+            if (cached) return cached;
+        }
+
+        const data = await this.execute(document, variables, options);
+
+        if (fetchPolicy !== 'no-cache') {
+            this.cache.writeQuery(key, data);
+        }
+        return data;
+    }
+
+    // Entities in the result are merged into the cache, refreshing every query that shows them.
+    // options.update(cache, data) can adjust anything normalization can't, such as list membership.
+    async mutate(document, variables = {}, options = {}) {
+        const data = await this.execute(document, variables, options);
+
+        this.cache.writeQuery(null, data);
+        if (options.update) {
+            options.update(this.cache, data);
+        }
+        return data;
+    }
+
+    /**
+     * Call callback(data) with the cached result straight away (if any), again once the
+     * network answers, and whenever a later query or mutation changes one of its entities.
+     * Fetch failures go to options.onError. Returns a function that stops watching.
+     */
+    watchQuery(document, variables = {}, callback, options = {}) {
+        const key = this.getOperationKey(document, variables);
+        const unwatch = this.cache.watch(key, callback);
+
+        const cached = this.cache.readQuery(key);
+        if (cached) {
+            callback(cached);
+        }
+
+        this.query(document, variables, { ...options, fetchPolicy: 'network-only' }).catch(error => {
+            if (options.onError) {
+                options.onError(error);
+            } else if (!error.cancelled) {
+                console.error('GraphQL watchQuery failed:', error);
+            }
+        });
+
+        return unwatch;
+    }
+
+    // Execution
+    async execute(document, variables = {}, options = {}) {
+        const authToken = this.api.authToken;
+        const operationName = this.getOperationName(document);
+        const hash = this.persistedQueries ? await this.getHash(document) : null;
+        const body = { operationName, variables };
+
+        if (hash) {
+            // Send only the hash first; the server asks for the document if it hasn't seen it
+            body.extensions = { persistedQuery: { version: 1, sha256Hash: hash } };
+        } else {
+            body.query = document;
+        }
+
+        let result = await this.send(body, options);
+
+        if (hash && this.isPersistedQueryMiss(result)) {
+            result = await this.send({ ...body, query: document }, options);
+        }
+
+        if (result.errors && result.errors.length > 0) {
+            return this.handleErrors(result, document, variables, options, authToken);
+        }
+
+        return result.data;
+    }
+
+    isPersistedQueryMiss(result) {
+        return (result.errors || []).some(error =>
+            error.message === 'PersistedQueryNotFound' ||
+            (error.extensions && error.extensions.code === 'PERSISTED_QUERY_NOT_FOUND')
+        );
+    }
+
+    // GraphQL errors arrive inside a 200, so the REST status handling is applied here
+    async handleErrors(result, document, variables, options, authToken) {
+        const error = APIError.fromGraphQLErrors(result.errors, result.data || null, {
+            endpoint: this.api.buildURL(this.endpoint)
+        });
+
+        if (error.status === 401 && !options.authRetried) {
+            if (await this.api.recoverSession(authToken)) {
+                return this.execute(document, variables, { ...options, authRetried: true });
+            }
+            throw error;
+        }
+
+        if (error.status && error.status !== 401) {
+            this.api.handleErrorStatus(error);
+        }
+        throw error;
+    }
+
+    /**
+     * Operations without their own signal, timeout or headers are collected for
+     * batchInterval ms and sent together as a JSON array (one response per entry).
+     */
+    send(body, options = {}) {
+        const ownRequest = options.signal || options.timeout !== undefined || options.headers;
+        if (!this.batching || options.batch === false || ownRequest) {
+            return this.post(body, options);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.push({ body, resolve, reject });
+
+            if (this.pending.length >= this.maxBatchSize) {
+                this.flush();
+            } else if (!this.batchTimer) {
+                this.batchTimer = setTimeout(() => this.flush(), this.batchInterval);
+            }
+        });
+    }
+
+    post(body, options = {}) {
+        return this.api.post(this.endpoint, body, {
+            queueOffline: false, // A queued operation can't resolve with its data later
+            signal: options.signal,
+            timeout: options.timeout,
+            // Spec-compliant servers then report GraphQL errors in a 200 rather than a 4xx
+            headers: { Accept: 'application/json', ...options.headers }
+        });
+    }
+
+    async flush() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+
+        const batch = this.pending.splice(0);
+        if (batch.length === 0) return;
+
+        if (batch.length === 1) {
+            this.post(batch[0].body).then(batch[0].resolve, batch[0].reject);
+            return;
+        }
+
+        try {
+            const results = await this.post(batch.map(entry => entry.body));
+
+            if (!Array.isArray(results) || results.length !== batch.length) {
+                throw new GraphQLError('The server returned a malformed batch response.', {
+                    endpoint: this.api.buildURL(this.endpoint)
+                });
+            }
+            batch.forEach((entry, index) => entry.resolve(results[index]));
+        } catch (error) {
+            batch.forEach(entry => entry.reject(error));
+        }
+    }
+}
+
+// Export for use in api.js
+window.GraphQLCache = GraphQLCache;
+window.GraphQLClient = GraphQLClient;
@@ -10,7 +10,10 @@ class SevenFishApp {
 
     init() {
         // Initialize all components when DOM is ready
-        document.addEventListener('DOMContentLoaded', () => {
+        document.addEventListener('DOMContentLoaded', async () => {
+            // Components read their settings on creation, so wait for a config file if there is one
+            await window.Config.ready;
+
             this.initializeComponents();
             this.bindEvents();
             this.setupAccessibility();
@@ -43,6 +46,20 @@ class SevenFishApp {
             this.notifications = new Notifications();
         }
 
+        // Share UI services with the API layer (session expiry prompts, error toasts)
+        if (window.API) {
+            window.API.notifications = this.notifications;
+            window.API.modal = this.modal;
+        }
+
+        // Cart and Search are created before Notifications and Modal
+        [this.cart, this.search].forEach(component => {
+            if (component) {
+                component.notifications = this.notifications;
+                component.modal = this.modal;
+            }
+        });
+
         // Initialize product interactions
         this.initializeProductInteractions();
 
@@ -51,6 +68,15 @@ class SevenFishApp {
 
         // Initialize infinite scroll
         this.initializeInfiniteScroll();
+
+        // Initialize realtime product updates
+        this.initializeRealtimeUpdates();
+
+        // Initialize prices in the shopper's currency
+        this.initializeCurrency();
+
+        // Initialize analytics (page views, product views, purchases)
+        this.initializeAnalytics();
     }
 
     bindEvents() {
@@ -142,6 +168,129 @@ class SevenFishApp {
         }
     }
 
+    initializeRealtimeUpdates() {
+        if (!window.API || !window.API.realtime) return;
+
+        window.API.realtime.on('product_updated', (data) => {
+            this.updateProductCards(data.product || data);
+        });
+    }
+
+    initializeCurrency() {
+        if (!window.Currency) return;
+
+        this.refreshPrices();
+        window.addEventListener('currencyChanged', () => this.refreshPrices());
+        window.Currency.loadRates();
+    }
+
+    // Re-render every element that carries a base-currency data-price (and data-price-max for a range)
+    refreshPrices(root = document) {
+        root.querySelectorAll('[data-price]').forEach(element => {
+            const price = parseFloat(element.dataset.price);
+            const max = element.dataset.priceMax !== undefined ? parseFloat(element.dataset.priceMax) : price;
+            element.textContent = window.Currency.formatRange(price, max);
+        });
+    }
+
+    // Refresh rendered product cards (index page and search results) for a pushed product change
+    updateProductCards(product) {
+        const productId = String(product.productId || product.id);
+
+        document.querySelectorAll('.product-card').forEach(card => {
+            const matches = card.dataset.productId === productId ||
+                card.querySelector(`[data-product-id="${productId}"]`);
+            if (!matches) return;
+
+            const priceEl = card.querySelector('.product-card-price, .product-price');
+            // Prices go through Currency, so a later currencyChanged re-renders from this data-price
+            if (priceEl && product.price !== undefined) {
+                priceEl.dataset.price = product.price;
+                delete priceEl.dataset.priceMax;
+                priceEl.textContent = window.Currency.format(parseFloat(product.price));
+            }
+
+            const titleEl = card.querySelector('.product-card-title, .product-title');
+            if (titleEl && product.title) {
+                titleEl.textContent = product.title;
+            }
+
+            // Sold out and back in stock
+            if (product.stock !== undefined && product.stock !== null) {
+                const soldOut = Number(product.stock) === 0;
+                card.classList.toggle('out-of-stock', soldOut);
+                card.querySelectorAll('.add-to-cart-btn').forEach(btn => {
+                    btn.disabled = soldOut;
+                });
+            }
+
+            window.Utils.addTemporaryClass(card, 'updated', 1500);
+        });
+    }
+
+    initializeAnalytics() {
+        if (!window.Analytics) return;
+
+        window.Analytics.trackPageView();
+
+        // A product counts as viewed once at least half its card has been on screen
+        const productCards = document.querySelectorAll('.product-card');
+        if (productCards.length > 0 && 'IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        const product = this.getProductFromCard(entry.target);
+                        if (product) {
+                            window.Analytics.viewItem(product);
+                        }
+                    }
+                });
+            }, { threshold: 0.5 });
+
+            productCards.forEach(card => observer.observe(card));
+        }
+
+        // Order confirmation pages render <div data-order-confirmation data-order-id="..." data-order-total="...">
+        const confirmation = document.querySelector('[data-order-confirmation]');
+        if (confirmation) {
+            this.trackPurchase(confirmation);
+        }
+    }
+
+    getProductFromCard(card) {
+        const idElement = card.dataset.productId ? card : card.querySelector('[data-product-id]');
+        if (!idElement) return null;
+
+        const titleEl = card.querySelector('.product-card-title, .product-title');
+        const priceEl = card.querySelector('.product-card-price, .product-price');
+
+        // The text may be in another currency; data-price is always the base price
+        return {
+            id: idElement.dataset.productId,
+            title: titleEl ? titleEl.textContent.trim() : null,
+            price: priceEl && priceEl.dataset.price ? parseFloat(priceEl.dataset.price) : 0
+        };
+    }
+
+    trackPurchase(confirmation) {
+        const orderId = confirmation.dataset.orderId;
+        const trackedKey = 'sevenfish_tracked_orders';
+        const trackedOrders = window.Utils.storage.get(trackedKey, []);
+
+        // Reloading the confirmation page must not count the order twice
+        if (!orderId || trackedOrders.includes(orderId)) return;
+
+        const cartData = this.cart ? this.cart.getCartData() : { items: [] };
+        window.Analytics.purchase({
+            id: orderId,
+            total: confirmation.dataset.orderTotal,
+            items: cartData.items
+        });
+
+        window.Utils.storage.set(trackedKey, trackedOrders.concat(orderId).slice(-20));
+    }
+
     handleGlobalClick(e) {
         // Close dropdowns when clicking outside
         if (!e.target.closest('.dropdown')) {
@@ -215,9 +364,13 @@ class SevenFishApp {
             );
         }
 
-        // API call would go here
-        if (typeof API !== 'undefined') {
-            API.toggleFavorite(productId, isLiked);
+        if (window.API) {
+            window.API.toggleFavorite(productId).catch(error => {
+                // Roll back the optimistic toggle
+                btn.classList.toggle('liked', !isLiked);
+                btn.setAttribute('aria-label', isLiked ? 'Add to favorites' : 'Remove from favorites');
+                console.error('Failed to update favorite:', error);
+            });
         }
     }
 
@@ -342,18 +495,28 @@ class SevenFishApp {
                 submitBtn.textContent = 'Sending...';
             }
 
-            // API call would go here
-            if (typeof API !== 'undefined') {
-                API.submitForm(form.action, formData)
+            if (window.API) {
+                window.API.submitForm(form, formData)
                     .then(response => {
                         if (typeof Notifications !== 'undefined') {
-                            this.notifications.show('Message sent successfully!', 'success');
+                            this.notifications.show(response && response.queued
+                                ? 'You are offline. Your message will be sent when you reconnect.'
+                                : 'Message sent successfully!', 'success');
                         }
                         form.reset();
                     })
                     .catch(error => {
+                        if (error.hasFieldErrors && error.hasFieldErrors()) {
+                            this.showServerErrors(form, error);
+                        }
+
                         if (typeof Notifications !== 'undefined') {
-                            this.notifications.show('Error sending message. Please try again.', 'error');
+                            this.notifications.show(
+                                error.name === 'ValidationError' || error.name === 'NetworkError'
+                                    ? window.Utils.escapeHTML(error.message)
+                                    : 'Error sending message. Please try again.',
+                                'error'
+                            );
                         }
                     })
                     .finally(() => {
@@ -442,6 +605,23 @@ class SevenFishApp {
         errorElement.textContent = message;
     }
 
+    // Map server-side field errors (e.g. a 422 ValidationError) onto the form's inputs
+    showServerErrors(form, error) {
+        let firstField = null;
+
+        error.getFieldErrors().forEach(({ field: name, message }) => {
+            const field = form.querySelector(`[name="${name}"]`);
+            if (field) {
+                this.showFieldError(field, message);
+                firstField = firstField || field;
+            }
+        });
+
+        if (firstField) {
+            firstField.focus();
+        }
+    }
+
     clearFieldError(field) {
         field.classList.remove('error');
         const errorElement = field.parentNode.querySelector('.field-error');
@@ -463,11 +643,11 @@ class SevenFishApp {
         }
 
         // API call to load more content
-        if (typeof API !== 'undefined') {
+        if (window.API) {
             const nextPage = parseInt(container.dataset.page) || 1;
             const endpoint = container.dataset.endpoint;
 
-            API.loadMore(endpoint, nextPage)
+            window.API.loadMore(endpoint, nextPage)
                 .then(data => {
                     if (data.items && data.items.length > 0) {
                         this.appendContent(container, data.items);
@@ -0,0 +1,1018 @@
+/**
+ * Mock Backend - In-browser API adapter with a seeded 7Fish catalog, carts, orders,
+ * reviews, coupons and tracking, plus configurable latency and failure injection.
+ * Plugged in under API (api.useAdapter) so components exercise the real API methods.
+ */
+
+class MockBackend {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'sevenfish_mock_db';
+        this.baseURL = options.baseURL || window.API.baseURL;
+        this.latency = options.latency || { min: 150, max: 450 };
+        this.failureRate = options.failureRate || 0; // Share of requests failing with a network error
+        this.failures = options.failures || [];      // Targeted failures, see injectFailure()
+        this.routes = [];
+        this.db = this.load();
+        this.registerRoutes();
+    }
+
+    // Development storefronts (localhost, file://) use the mock unless ?mockApi=0, which is remembered.
+    // ?mockApi=1 opts in for that page load only, and only where config overrides are allowed:
+    // production ignores it, so a crafted link can't swap a customer's orders for fake ones.
+    static isEnabled() {
+        const development = window.Config.environment === 'dev';
+        if (!development && !window.Config.getBoolean('allowOverrides', false)) return false;
+
+        const param = new URLSearchParams(window.location.search).get('mockApi');
+        if (param === '0') {
+            window.Utils.storage.set('sevenfish_mock_api', false);
+            return false;
+        }
+        if (param === '1') {
+            window.Utils.storage.remove('sevenfish_mock_api');
+            return true;
+        }
+
+        return development && window.Utils.storage.get('sevenfish_mock_api', null) !== false;
+    }
+
+    // Configuration
+    configure(options = {}) {
+        if (options.latency !== undefined) this.latency = options.latency;
+        if (options.failureRate !== undefined) this.failureRate = options.failureRate;
+        if (options.failures !== undefined) this.failures = options.failures;
+        return this;
+    }
+
+    /**
+     * Fail matching requests: { method, path (string prefix or RegExp), status, rate, times, body }.
+     * Without a status the request fails like a dropped connection.
+     */
+    injectFailure(failure) {
+        this.failures.push({ rate: 1, times: Infinity, ...failure });
+        return this;
+    }
+
+    clearFailures() {
+        this.failures = [];
+        return this;
+    }
+
+    // Persistence
+    load() {
+        const stored = window.Utils.storage.get(this.storageKey, null);
+        if (stored && stored.version === MockBackend.VERSION) {
+            return stored;
+        }
+
+        const db = MockBackend.seed();
+        window.Utils.storage.set(this.storageKey, db);
+        return db;
+    }
+
+    save() {
+        window.Utils.storage.set(this.storageKey, this.db);
+    }
+
+    reset() {
+        this.db = MockBackend.seed();
+        this.save();
+    }
+
+    // Adapter interface used by API.send()
+    async send(url, config = {}) {
+        const target = new URL(url, window.location.href);
+        const basePath = new URL(this.baseURL, window.location.href).pathname.replace(/\/$/, '');
+
+        // Anything outside the API (pages, third-party URLs) still goes to the network
+        if (!target.pathname.startsWith(basePath)) {
+            return fetch(url, config);
+        }
+
+        const request = {
+            method: (config.method || 'GET').toUpperCase(),
+            path: target.pathname.slice(basePath.length) || '/',
+            query: Object.fromEntries(target.searchParams.entries()),
+            headers: config.headers || {},
+            body: this.parseBody(config.body)
+        };
+
+        await this.delay(config.signal);
+
+        if (config.onUploadProgress && config.body && config.body.size !== undefined) {
+            config.onUploadProgress({ loaded: config.body.size, total: config.body.size });
+        }
+
+        const failure = this.findFailure(request);
+        if (failure) {
+            if (!failure.status) {
+                throw new TypeError('Failed to fetch (mock network failure)');
+            }
+            return this.respond({ status: failure.status, body: failure.body || { message: 'Injected failure' } });
+        }
+
+        if (Math.random() < this.failureRate) {
+            throw new TypeError('Failed to fetch (mock network failure)');
+        }
+
+        return this.respond(this.route(request));
+    }
+
+    delay(signal) {
+        const { min, max } = typeof this.latency === 'number'
+            ? { min: this.latency, max: this.latency }
+            : this.latency;
+        const ms = min + Math.random() * (max - min);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                if (signal.aborted) {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                    return;
+                }
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+
+    findFailure(request) {
+        const failure = this.failures.find(candidate => {
+            if (candidate.times <= 0) return false;
+            if (candidate.method && candidate.method.toUpperCase() !== request.method) return false;
+            if (candidate.path) {
+                const matches = candidate.path instanceof RegExp
+                    ? candidate.path.test(request.path)
+                    : request.path.startsWith(candidate.path);
+                if (!matches) return false;
+            }
+            return Math.random() < candidate.rate;
+        });
+
+        if (failure) {
+            failure.times--;
+        }
+        return failure || null;
+    }
+
+    parseBody(body) {
+        if (body === undefined || body === null) return {};
+        if (typeof body === 'string') {
+            try {
+                return JSON.parse(body);
+            } catch (e) {
+                return { raw: body };
+            }
+        }
+        if (body instanceof FormData) {
+            return window.API.serializeForm(body);
+        }
+        return { blob: body };
+    }
+
+    respond({ status = 200, body = null, headers = {} }) {
+        const hasBody = body !== null && ![204, 304].includes(status);
+        return new Response(hasBody ? JSON.stringify(body) : null, {
+            status,
+            headers: hasBody ? { 'Content-Type': 'application/json', ...headers } : headers
+        });
+    }
+
+    // Routing
+    on(method, pattern, handler) {
+        // '/products/:id' -> /^\/products\/(?<id>[^/]+)$/
+        const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`);
+        this.routes.push({ method, regex, handler });
+    }
+
+    route(request) {
+        for (const route of this.routes) {
+            if (route.method !== request.method) continue;
+
+            const match = route.regex.exec(request.path);
+            if (match) {
+                // Cart line keys ('2|size=large') arrive percent-encoded
+                request.params = Object.fromEntries(Object.entries(match.groups || {})
+                    .map(([name, value]) => [name, decodeURIComponent(value)]));
+                const result = route.handler.call(this, request);
+                this.save();
+                return result && result[MockBackend.REPLY] ? result : { status: 200, body: result };
+            }
+        }
+
+        return this.error(404, `No mock route for ${request.method} ${request.path}`);
+    }
+
+    // Handlers return plain data for a 200, or reply() for any other status
+    reply(status, body = null) {
+        return { [MockBackend.REPLY]: true, status, body };
+    }
+
+    error(status, message, extra = {}) {
+        return this.reply(status, { message, ...extra });
+    }
+
+    registerRoutes() {
+        // Auth
+        this.on('POST', '/auth/login', this.login);
+        this.on('POST', '/auth/register', this.register);
+        this.on('POST', '/auth/refresh', this.refresh);
+        this.on('POST', '/auth/logout', () => this.reply(204));
+        this.on('GET', '/auth/me', this.currentUser);
+        this.on('PUT', '/auth/profile', this.updateProfile);
+
+        // Catalog
+        this.on('GET', '/products', this.listProducts);
+        this.on('GET', '/products/:id', this.getProduct);
+        this.on('POST', '/products', this.createProduct);
+        this.on('PUT', '/products/:id', this.updateProduct);
+        this.on('DELETE', '/products/:id', this.deleteProduct);
+
+        // Search
+        this.on('GET', '/search', this.search);
+        this.on('GET', '/search/suggestions', this.suggestions);
+        this.on('GET', '/search/trending', () => ({ searches: this.db.trending }));
+
+        // Cart
+        this.on('GET', '/cart', (req) => this.cartResponse(this.cartFor(req)));
+        this.on('POST', '/cart/items', this.addCartItem);
+        this.on('PUT', '/cart/items/:id', this.updateCartItem);
+        this.on('DELETE', '/cart/items/:id', this.removeCartItem);
+        this.on('DELETE', '/cart', this.clearCart);
+        this.on('POST', '/cart/merge', this.mergeCart);
+        this.on('POST', '/cart/coupon', this.applyCoupon);
+        this.on('DELETE', '/cart/coupon/:code', this.removeCoupon);
+        this.on('GET', '/promotions', this.listPromotions);
+
+        // Currency
+        this.on('GET', '/exchange-rates', () => ({
+            base: 'USD',
+            rates: MockBackend.EXCHANGE_RATES,
+            updatedAt: new Date().toISOString()
+        }));
+
+        // Orders and tracking
+        this.on('POST', '/orders', this.createOrder);
+        this.on('GET', '/orders', () => ({ items: this.db.orders, total: this.db.orders.length }));
+        this.on('GET', '/orders/:id', this.getOrder);
+        this.on('GET', '/orders/:id/tracking', this.getTracking);
+
+        // Reviews
+        this.on('GET', '/products/:id/reviews', this.listReviews);
+        this.on('POST', '/products/:id/reviews', this.createReview);
+        this.on('PUT', '/reviews/:id', this.updateReview);
+        this.on('DELETE', '/reviews/:id', this.deleteReview);
+
+        // Favorites
+        this.on('GET', '/favorites', () => ({ items: this.db.favorites }));
+        this.on('POST', '/favorites', (req) => this.setFavorite(req.body.productId, true));
+        this.on('DELETE', '/favorites/:id', (req) => this.setFavorite(req.params.id, false));
+        this.on('POST', '/favorites/toggle', (req) => this.setFavorite(req.body.productId, !this.db.favorites.includes(String(req.body.productId))));
+
+        // Fire-and-forget endpoints
+        this.on('POST', '/contact', () => this.reply(201, { received: true }));
+        this.on('POST', '/analytics/batch', () => this.reply(204));
+        this.on('POST', '/custom-box/photos', (req) => ({ id: this.nextId('photo'), name: req.body.photo ? req.body.photo.name : null }));
+    }
+
+    nextId(prefix) {
+        this.db.sequence++;
+        return `${prefix}-${this.db.sequence}`;
+    }
+
+    // Auth handlers
+    createToken(user) {
+        const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+        const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+        return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: user.id, email: user.email, exp })}.mock`;
+    }
+
+    login(req) {
+        const { email, password } = req.body;
+        const errors = {};
+        if (!email || !window.Utils.isValidEmail(email)) errors.email = ['Please enter a valid email address'];
+        if (!password || password.length < 6) errors.password = ['Password must be at least 6 characters'];
+        if (Object.keys(errors).length > 0) {
+            return this.error(422, 'Invalid credentials', { errors });
+        }
+
+        const user = this.db.users.find(candidate => candidate.email === email) || this.register({ body: { email } }).body.user;
+        return { token: this.createToken(user), refreshToken: `refresh-${user.id}`, user };
+    }
+
+    register(req) {
+        const user = { id: this.nextId('user'), email: req.body.email, name: req.body.name || req.body.email.split('@')[0] };
+        this.db.users.push(user);
+        return this.reply(201, { user, token: this.createToken(user), refreshToken: `refresh-${user.id}` });
+    }
+
+    refresh(req) {
+        const userId = String(req.body.refreshToken || '').replace(/^refresh-/, '');
+        const user = this.db.users.find(candidate => candidate.id === userId);
+        if (!user) return this.error(401, 'Refresh token expired');
+        return { token: this.createToken(user), refreshToken: `refresh-${user.id}` };
+    }
+
+    getUserFromRequest(req) {
+        const auth = req.headers.Authorization || req.headers.authorization || '';
+        const expiry = window.API.getTokenExpiry(auth.replace(/^Bearer /, ''));
+        if (!expiry || expiry < Date.now()) return null;
+
+        const claims = JSON.parse(atob(auth.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return this.db.users.find(user => user.id === claims.sub) || null;
+    }
+
+    currentUser(req) {
+        return this.getUserFromRequest(req) || this.error(401, 'Not signed in');
+    }
+
+    updateProfile(req) {
+        const user = this.getUserFromRequest(req);
+        if (!user) return this.error(401, 'Not signed in');
+        Object.assign(user, req.body, { id: user.id });
+        return user;
+    }
+
+    // Catalog handlers
+    findProduct(id) {
+        return this.db.products.find(product => product.id === String(id) || product.slug === id) || null;
+    }
+
+    filterProducts(query) {
+        const terms = (query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const categories = query.categories ? query.categories.split(',') : (query.category ? [query.category] : []);
+        const minPrice = query.minPrice !== undefined ? parseFloat(query.minPrice) : null;
+        const maxPrice = query.maxPrice !== undefined ? parseFloat(query.maxPrice) : null;
+
+        let products = this.db.products.filter(product => {
+            const haystack = [product.title, product.description, product.category, ...product.tags].join(' ').toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) return false;
+            if (categories.length > 0 && !categories.includes(product.category)) return false;
+            if (minPrice !== null && !isNaN(minPrice) && product.price < minPrice) return false;
+            if (maxPrice !== null && !isNaN(maxPrice) && product.price > maxPrice) return false;
+            return true;
+        });
+
+        const sorters = {
+            'price-low': (a, b) => a.price - b.price,
+            'price-high': (a, b) => b.price - a.price,
+            rating: (a, b) => b.rating - a.rating,
+            newest: (a, b) => b.createdAt.localeCompare(a.createdAt)
+        };
+        const sort = sorters[(query.sort || '').replace('_asc', '-low').replace('_desc', '-high').replace('price_', 'price-')];
+        if (sort) {
+            products = products.slice().sort(sort);
+        }
+
+        return products;
+    }
+
+    paginate(items, query, defaultLimit = 12) {
+        const page = Math.max(1, parseInt(query.page) || 1);
+        const limit = Math.max(1, parseInt(query.limit) || defaultLimit);
+        const start = (page - 1) * limit;
+
+        return {
+            items: items.slice(start, start + limit),
+            total: items.length,
+            page,
+            hasMore: start + limit < items.length
+        };
+    }
+
+    listProducts(req) {
+        return this.paginate(this.filterProducts(req.query), req.query);
+    }
+
+    getProduct(req) {
+        return this.findProduct(req.params.id) || this.error(404, 'Product not found');
+    }
+
+    createProduct(req) {
+        const product = { tags: [], rating: 0, reviews: 0, seller: '7Fish', createdAt: new Date().toISOString(), ...req.body, id: this.nextId('product') };
+        this.db.products.push(product);
+        return this.reply(201, product);
+    }
+
+    updateProduct(req) {
+        const product = this.findProduct(req.params.id);
+        if (!product) return this.error(404, 'Product not found');
+        Object.assign(product, req.body, { id: product.id });
+        return product;
+    }
+
+    deleteProduct(req) {
+        this.db.products = this.db.products.filter(product => product.id !== req.params.id);
+        return this.reply(204);
+    }
+
+    search(req) {
+        return { query: req.query.q || '', ...this.paginate(this.filterProducts(req.query), req.query, 6) };
+    }
+
+    suggestions(req) {
+        const query = (req.query.q || '').toLowerCase().trim();
+        if (!query) return { suggestions: [] };
+
+        const phrases = new Set();
+        this.db.products.forEach(product => {
+            [product.title, ...product.tags].forEach(phrase => {
+                if (phrase.toLowerCase().includes(query)) phrases.add(phrase.toLowerCase());
+            });
+        });
+        this.db.trending.forEach(phrase => {
+            if (phrase.includes(query)) phrases.add(phrase);
+        });
+
+        return { suggestions: Array.from(phrases).slice(0, 6) };
+    }
+
+    // Cart handlers
+    // Signed-in shoppers each have their own cart; anonymous requests share the guest cart
+    cartFor(req) {
+        const user = this.getUserFromRequest(req);
+        if (!user) return this.db.cart;
+
+        if (!this.db.carts[user.id]) {
+            this.db.carts[user.id] = { items: [], coupons: [], updatedAt: null };
+        }
+        return this.db.carts[user.id];
+    }
+
+    cartResponse(cart) {
+        const items = cart.items;
+        return {
+            items,
+            subtotal: Math.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100,
+            itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+            coupons: cart.coupons,
+            updatedAt: cart.updatedAt
+        };
+    }
+
+    touchCart(cart) {
+        cart.updatedAt = new Date().toISOString();
+        return this.cartResponse(cart);
+    }
+
+    addCartItem(req) {
+        const cart = this.cartFor(req);
+        const line = this.priceLine(req.body);
+        if (line[MockBackend.REPLY]) return line;
+
+        const existing = cart.items.find(item => item.key === line.key);
+        const shortage = this.checkStock(cart, line.productId, line.key, (existing ? existing.quantity : 0) + line.quantity);
+        if (shortage) return shortage;
+
+        if (existing) {
+            existing.quantity += line.quantity;
+        } else {
+            cart.items.push(line);
+        }
+        return this.touchCart(cart);
+    }
+
+    // Units of a product a line may hold: its stock less other lines of the same product, capped by maxQuantity
+    availableFor(cart, productId, key) {
+        const product = this.findProduct(productId);
+        if (!product) return 0;
+
+        const limit = product.maxQuantity || Infinity;
+        if (product.stock === null || product.stock === undefined) return limit;
+
+        const elsewhere = cart.items
+            .filter(item => item.productId === product.id && item.key !== key)
+            .reduce((sum, item) => sum + item.quantity, 0);
+        return Math.max(0, Math.min(limit, product.stock - elsewhere));
+    }
+
+    // A 409 reply when the quantity isn't available, with what is
+    checkStock(cart, productId, key, quantity) {
+        const available = this.availableFor(cart, productId, key);
+        if (quantity <= available) return null;
+
+        const product = this.findProduct(productId);
+        const message = available === 0
+            ? `${product.title} is out of stock`
+            : `Only ${available} of ${product.title} available`;
+        return this.error(409, message, { available, errors: { quantity: [message] } });
+    }
+
+    // A priced cart line for { productId, quantity, options, personalization }, or a 422 reply
+    priceLine({ productId, quantity = 1, options = {}, personalization = null }) {
+        const product = this.findProduct(productId);
+        if (!product) {
+            return this.error(422, 'Product not found', { errors: { productId: ['This product is no longer available'] } });
+        }
+
+        const selection = this.priceOptions(product, options || {});
+        if (selection.fieldErrors) {
+            return this.error(422, 'Please choose the product options', { errors: selection.fieldErrors });
+        }
+
+        const personalized = this.pricePersonalization(product, personalization);
+        const parts = Object.keys(selection.options).sort().map(name =>
+            `${name}=${[].concat(selection.options[name]).sort().join(',')}`);
+        if (personalized) {
+            parts.push(`p=${MockBackend.hashPersonalization(personalized.values)}`);
+        }
+        const key = [product.id, ...parts].join('|');
+
+        return {
+            id: key,
+            key,
+            productId: product.id,
+            title: product.title,
+            price: Math.round((product.price + selection.price + (personalized ? personalized.price : 0)) * 100) / 100,
+            options: selection.options,
+            optionSummary: selection.summary,
+            personalization: personalized,
+            image: product.image,
+            seller: product.seller,
+            stock: product.stock,
+            maxQuantity: product.maxQuantity,
+            quantity
+        };
+    }
+
+    /**
+     * Fold a guest cart into the signed-in shopper's cart. Strategies for lines in both:
+     * sum (default) adds the quantities, max keeps the larger; guest replaces the account
+     * cart outright and account ignores the guest lines.
+     */
+    mergeCart(req) {
+        const cart = this.cartFor(req);
+        const strategy = req.body.strategy || 'sum';
+
+        if (strategy === 'account') return this.cartResponse(cart);
+        if (strategy === 'guest') cart.items = [];
+
+        (req.body.items || []).forEach(item => {
+            const line = this.priceLine(item);
+            if (line[MockBackend.REPLY]) return; // Lines that no longer price are dropped
+
+            let existing = cart.items.find(candidate => candidate.key === line.key);
+            if (!existing) {
+                existing = { ...line, quantity: 0 };
+                cart.items.push(existing);
+            }
+            const wanted = strategy === 'max' ? Math.max(existing.quantity, line.quantity) : existing.quantity + line.quantity;
+
+            // Merged lines are cut back to what's available rather than refused
+            existing.quantity = Math.min(wanted, Math.max(existing.quantity, this.availableFor(cart, line.productId, line.key)));
+        });
+        cart.items = cart.items.filter(item => item.quantity > 0);
+        return this.touchCart(cart);
+    }
+
+    // Prices the filled-in fields; the mock trusts the client's validation of the text
+    pricePersonalization(product, personalization) {
+        const values = personalization && (personalization.values || personalization);
+        if (!product.personalization || !values || Object.keys(values).length === 0) return null;
+
+        const summary = [];
+        let price = 0;
+        product.personalization.forEach(field => {
+            const value = values[field.name];
+            if (!value) return;
+            price += field.price || 0;
+            summary.push({ name: field.label, value: typeof value === 'object' ? value.name : value, price: field.price || 0 });
+        });
+
+        return { values, summary, price };
+    }
+
+    // Same FNV-1a line key hash as Cart.hashPersonalization()
+    static hashPersonalization(values) {
+        const input = Object.keys(values).sort().map(name => {
+            const value = values[name];
+            return `${name}=${value && typeof value === 'object' ? value.id : value}`;
+        }).join('&');
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // Server-side mirror of Cart.resolveOptions(): the client's price is never trusted
+    priceOptions(product, chosen) {
+        const options = {};
+        const summary = [];
+        const fieldErrors = {};
+        let price = 0;
+
+        (product.options || []).forEach(option => {
+            const picked = [].concat(chosen[option.name] || option.default || [])
+                .map(value => option.values.find(choice => choice.value === value))
+                .filter(Boolean);
+
+            if (picked.length === 0) {
+                if (option.required !== false && option.type !== 'multi') {
+                    fieldErrors[option.name] = [`Please choose a ${option.label.toLowerCase()}`];
+                }
+                return;
+            }
+
+            const kept = option.type === 'multi' ? picked : picked.slice(0, 1);
+            options[option.name] = option.type === 'multi' ? kept.map(choice => choice.value) : kept[0].value;
+            kept.forEach(choice => {
+                price += choice.price;
+                summary.push({ name: option.label, value: choice.label, price: choice.price });
+            });
+        });
+
+        return Object.keys(fieldErrors).length > 0
+            ? { fieldErrors }
+            : { options, summary, price };
+    }
+
+    updateCartItem(req) {
+        const cart = this.cartFor(req);
+        const item = cart.items.find(candidate => candidate.id === req.params.id);
+        if (!item) return this.error(404, 'Cart item not found');
+
+        // Lowering a quantity is always allowed, even past what's now in stock
+        if (req.body.quantity > item.quantity) {
+            const shortage = this.checkStock(cart, item.productId, item.key, req.body.quantity);
+            if (shortage) return shortage;
+        }
+
+        if (req.body.quantity > 0) {
+            item.quantity = req.body.quantity;
+        } else {
+            cart.items = cart.items.filter(candidate => candidate !== item);
+        }
+        return this.touchCart(cart);
+    }
+
+    removeCartItem(req) {
+        const cart = this.cartFor(req);
+        cart.items = cart.items.filter(item => item.id !== req.params.id);
+        return this.touchCart(cart);
+    }
+
+    clearCart(req) {
+        const cart = this.cartFor(req);
+        cart.items = [];
+        cart.coupons = [];
+        return this.touchCart(cart);
+    }
+
+    applyCoupon(req) {
+        const code = String(req.body.code || '').trim().toUpperCase();
+        const coupon = this.db.coupons.find(candidate => candidate.code === code);
+
+        if (!coupon) {
+            return this.error(422, 'Invalid coupon code', { errors: { code: ['Invalid coupon code'] } });
+        }
+        if (coupon.startsAt && new Date(coupon.startsAt) > new Date()) {
+            return this.error(422, 'This coupon isn\'t active yet', { errors: { code: ['This coupon isn\'t active yet'] } });
+        }
+        if (coupon.expiresAt && new Date(coupon.expiresAt) < new Date()) {
+            return this.error(422, 'This coupon has expired', { errors: { code: ['This coupon has expired'] } });
+        }
+        if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+            return this.error(422, 'This coupon has been fully redeemed', { errors: { code: ['This coupon has been fully redeemed'] } });
+        }
+
+        // Minimum spend and eligibility are left to the client's promotions engine,
+        // which can tell the shopper how far off they are
+        const cart = this.cartFor(req);
+        if (!cart.coupons.includes(coupon.code)) {
+            cart.coupons.push(coupon.code);
+        }
+        return { coupon, cart: this.touchCart(cart) };
+    }
+
+    removeCoupon(req) {
+        const cart = this.cartFor(req);
+        cart.coupons = cart.coupons.filter(code => code !== req.params.code.toUpperCase());
+        return this.touchCart(cart);
+    }
+
+    listPromotions() {
+        const now = new Date();
+        return {
+            promotions: this.db.promotions.filter(promotion =>
+                (!promotion.startsAt || new Date(promotion.startsAt) <= now) &&
+                (!promotion.expiresAt || new Date(promotion.expiresAt) >= now))
+        };
+    }
+
+    // Order handlers
+    createOrder(req) {
+        const cart = this.cartFor(req);
+        const items = req.body.items || cart.items;
+        if (!items || items.length === 0) {
+            return this.error(422, 'Your cart is empty', { errors: { items: ['Your cart is empty'] } });
+        }
+
+        // Stock is per product, so lines for different options of one product count together
+        const wanted = {};
+        items.forEach(item => {
+            const productId = String(item.productId || item.id);
+            wanted[productId] = (wanted[productId] || 0) + item.quantity;
+        });
+        const shortId = Object.keys(wanted).find(id => {
+            const product = this.findProduct(id);
+            return !product || (product.stock !== null && product.stock !== undefined && wanted[id] > product.stock);
+        });
+        if (shortId) {
+            const product = this.findProduct(shortId);
+            return this.error(409, `${product ? product.title : 'An item in your cart'} is no longer available in that quantity`);
+        }
+
+        Object.keys(wanted).forEach(id => {
+            const product = this.findProduct(id);
+            if (product.stock !== null && product.stock !== undefined) product.stock -= wanted[id];
+        });
+
+        const now = new Date();
+        const order = {
+            id: `7F-${100000 + this.db.sequence++}`,
+            status: 'placed',
+            items,
+            total: req.body.total !== undefined ? req.body.total : this.cartResponse(cart).subtotal,
+            coupon: [].concat(req.body.coupons || cart.coupons).join(',') || null,
+            shippingAddress: req.body.shippingAddress || null,
+            createdAt: now.toISOString(),
+            carrier: null,
+            trackingNumber: null,
+            estimatedDelivery: MockBackend.deliveryWindow(now),
+            events: [MockBackend.trackingEvent('placed', now)]
+        };
+
+        (order.coupon ? order.coupon.split(',') : []).forEach(code => {
+            const coupon = this.db.coupons.find(candidate => candidate.code === code);
+            if (coupon) coupon.usageCount++;
+        });
+
+        this.db.orders.unshift(order);
+        cart.items = [];
+        cart.coupons = [];
+        cart.updatedAt = now.toISOString();
+        return this.reply(201, order);
+    }
+
+    findOrder(id) {
+        const normalized = String(id).trim().toUpperCase().replace(/^#/, '');
+        return this.db.orders.find(order => order.id === normalized || order.id === `7F-${normalized}`) || null;
+    }
+
+    getOrder(req) {
+        return this.findOrder(req.params.id) || this.error(404, 'Order not found');
+    }
+
+    getTracking(req) {
+        const order = this.findOrder(req.params.id);
+        if (!order) return this.error(404, 'We couldn\'t find an order with that number');
+
+        return {
+            orderId: order.id,
+            status: order.status,
+            carrier: order.carrier,
+            trackingNumber: order.trackingNumber,
+            trackingUrl: order.trackingNumber ? `https://tools.usps.com/go/TrackConfirmAction?tLabels=${order.trackingNumber}` : null,
+            estimatedDelivery: order.estimatedDelivery,
+            shippingAddress: order.shippingAddress,
+            events: order.events
+        };
+    }
+
+    // Review handlers
+    listReviews(req) {
+        const reviews = this.db.reviews.filter(review => review.productId === req.params.id);
+        return this.paginate(reviews, req.query, 10);
+    }
+
+    createReview(req) {
+        const { rating, text } = req.body;
+        const errors = {};
+        if (!(rating >= 1 && rating <= 5)) errors.rating = ['Please choose a rating from 1 to 5'];
+        if (!text || text.trim().length < 10) errors.text = ['Please write at least 10 characters'];
+        if (Object.keys(errors).length > 0) {
+            return this.error(422, 'Please correct your review', { errors });
+        }
+
+        const user = this.getUserFromRequest(req);
+        const review = {
+            id: this.nextId('review'),
+            productId: req.params.id,
+            author: user ? user.name : 'Guest',
+            rating,
+            text: text.trim(),
+            createdAt: new Date().toISOString()
+        };
+        this.db.reviews.unshift(review);
+        this.updateRating(review.productId);
+        return this.reply(201, review);
+    }
+
+    updateReview(req) {
+        const review = this.db.reviews.find(candidate => candidate.id === req.params.id);
+        if (!review) return this.error(404, 'Review not found');
+        Object.assign(review, req.body, { id: review.id, productId: review.productId });
+        this.updateRating(review.productId);
+        return review;
+    }
+
+    deleteReview(req) {
+        const review = this.db.reviews.find(candidate => candidate.id === req.params.id);
+        this.db.reviews = this.db.reviews.filter(candidate => candidate !== review);
+        if (review) this.updateRating(review.productId);
+        return this.reply(204);
+    }
+
+    updateRating(productId) {
+        const product = this.findProduct(productId);
+        const reviews = this.db.reviews.filter(review => review.productId === productId);
+        if (product && reviews.length > 0) {
+            product.rating = Math.round(reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length * 10) / 10;
+            product.reviews = reviews.length;
+        }
+    }
+
+    setFavorite(productId, favorite) {
+        const id = String(productId);
+        this.db.favorites = this.db.favorites.filter(candidate => candidate !== id);
+        if (favorite) this.db.favorites.push(id);
+        return { productId: id, favorite, items: this.db.favorites };
+    }
+
+    // Seed data
+    static trackingEvent(status, date, details = {}) {
+        const descriptions = {
+            placed: ['Order Placed', 'Your order has been received and is being processed.'],
+            confirmed: ['Order Confirmed', 'Your payment has been confirmed and your order is being prepared.'],
+            shipped: ['Shipped', 'Your order has left our warehouse.'],
+            in_transit: ['In Transit', 'Your package is on its way.'],
+            delivered: ['Delivered', 'Your package has been delivered. God bless!']
+        };
+        const [title, description] = descriptions[status];
+        return { status, title, description, timestamp: date.toISOString(), ...details };
+    }
+
+    // Most packages arrive within 7-15 days of shipping (2-4 business days after ordering)
+    static deliveryWindow(orderedAt) {
+        const day = 24 * 60 * 60 * 1000;
+        return {
+            from: new Date(orderedAt.getTime() + 9 * day).toISOString(),
+            to: new Date(orderedAt.getTime() + 19 * day).toISOString()
+        };
+    }
+
+    static seed() {
+        const day = 24 * 60 * 60 * 1000;
+        const now = Date.now();
+        const image = (text) => `https://via.placeholder.com/280x240/FDEAF8/6B46C1?text=${text}`;
+        // Shipping weight in kg, for priority rates
+        const weights = { 1: 0.1, 2: 1.2, 3: 1.4, 4: 1.3, 5: 2.1, 6: 1.0 };
+        // Units on hand (null: made to order, never runs out) and the most one order may take
+        const inventory = {
+            1: { stock: null, maxQuantity: 10 },
+            2: { stock: 120, maxQuantity: 10 },
+            3: { stock: 8, maxQuantity: 5 },
+            4: { stock: 3, maxQuantity: 10 },
+            5: { stock: 40, maxQuantity: 10 },
+            6: { stock: null, maxQuantity: 3 }
+        };
+        const product = (id, slug, title, price, category, description, tags, rating, reviews) => ({
+            id, slug, title, price, category, description, tags, rating, reviews,
+            weight: weights[id],
+            ...inventory[id],
+            image: image(title.replace(/\s+/g, '+')),
+            seller: '7Fish',
+            createdAt: new Date(now - Number(id) * 30 * day).toISOString()
+        });
+
+        const order = (id, status, daysAgo, history) => {
+            const placedAt = new Date(now - daysAgo * day);
+            return {
+                id,
+                status,
+                items: [{ id: '2', productId: '2', title: 'Faith Box', price: 39.70, quantity: 1 }],
+                total: 39.70,
+                coupon: null,
+                shippingAddress: 'Springfield, IL, United States',
+                createdAt: placedAt.toISOString(),
+                carrier: history.includes('shipped') ? 'USPS Priority Mail' : null,
+                trackingNumber: history.includes('shipped') ? `USPS9400${id.replace(/\D/g, '')}0427` : null,
+                estimatedDelivery: MockBackend.deliveryWindow(placedAt),
+                events: history.map((eventStatus, index) =>
+                    MockBackend.trackingEvent(eventStatus, new Date(placedAt.getTime() + index * 2 * day))
+                )
+            };
+        };
+
+        return {
+            version: MockBackend.VERSION,
+            sequence: 1000,
+            users: [{ id: 'user-1', email: 'demo@7fish.org', name: 'Grace' }],
+            products: [
+                product('1', 'prayer-video', 'Packaging Video with Prayer', 17.00, 'add-ons',
+                    'Custom prayer video of your order', ['prayer', 'video', 'add-on'], 4.9, 212),
+                {
+                    ...product('2', 'faith-box', 'Faith Box', 39.70, 'boxes',
+                        'Select options', ['mystery box', 'faith', 'gift'], 4.8, 486),
+                    priceRange: { min: 39.70, max: 199.70 },
+                    options: [
+                        { name: 'size', label: 'Box Size', type: 'select', values: [
+                            { value: 'small', label: 'Small (5 items)', price: 0 },
+                            { value: 'medium', label: 'Medium (8 items)', price: 30 },
+                            { value: 'large', label: 'Large (12 items)', price: 60 }
+                        ] },
+                        { name: 'tier', label: 'Tier', type: 'select', default: 'classic', values: [
+                            { value: 'classic', label: 'Classic', price: 0 },
+                            { value: 'deluxe', label: 'Deluxe', price: 50 },
+                            { value: 'heirloom', label: 'Heirloom', price: 100 }
+                        ] },
+                        { name: 'addons', label: 'Add-ons', type: 'multi', required: false, values: [
+                            { value: 'prayer-video', label: 'Packaging Video with Prayer', price: 17 }
+                        ] }
+                    ]
+                },
+                product('3', 'grace-box', 'Grace Box', 49.70, 'boxes',
+                    'Bible study gift set', ['bible study', 'gift set', 'journal'], 4.9, 173),
+                product('4', 'hope-box', 'Hope Box', 59.70, 'boxes',
+                    'Children\'s Faith Discovery Series', ['children', 'kids', 'faith discovery'], 4.7, 98),
+                product('5', 'blessing-box', 'Blessing Box', 79.70, 'boxes',
+                    'Home Decor Gift Set', ['home decor', 'gift set', 'blessing'], 4.8, 141),
+                {
+                    ...product('6', 'custom-box', 'Custom Box', 1.00, 'custom',
+                        'Custom Made to Order', ['custom', 'personalized', 'made to order'], 5.0, 37),
+                    personalization: [
+                        { name: 'recipientName', label: 'Recipient name', type: 'text', maxLength: 40,
+                            pattern: '^[\\p{L} .\'-]+$', patternMessage: 'Recipient name can only use letters, spaces, apostrophes and hyphens' },
+                        { name: 'giftMessage', label: 'Gift message', type: 'textarea', maxLength: 250 },
+                        { name: 'verse', label: 'Scripture verse', type: 'select', values: [
+                            { value: 'john-3-16', label: 'John 3:16' },
+                            { value: 'jeremiah-29-11', label: 'Jeremiah 29:11' },
+                            { value: 'philippians-4-13', label: 'Philippians 4:13' },
+                            { value: 'psalm-23-1', label: 'Psalm 23:1' },
+                            { value: 'proverbs-3-5', label: 'Proverbs 3:5-6' },
+                            { value: 'isaiah-41-10', label: 'Isaiah 41:10' }
+                        ] },
+                        { name: 'engraving', label: 'Engraving text', type: 'text', maxLength: 30, price: 5,
+                            pattern: '^[A-Za-z0-9 .,\'&!?:-]+$', patternMessage: 'Engraving can only use letters, numbers and basic punctuation',
+                            help: 'Engraved on the keepsake cross, up to 30 characters' },
+                        { name: 'instructions', label: 'Special instructions', type: 'textarea', maxLength: 500,
+                            required: true, help: 'Tell us who the box is for and what you would like inside' },
+                        { name: 'referenceImage', label: 'Reference image', type: 'image' }
+                    ]
+                }
+            ],
+            reviews: [
+                { id: 'review-1', productId: '2', author: 'Mary K.', rating: 5, text: 'Every item was a blessing. My daughter loved the devotional!', createdAt: new Date(now - 12 * day).toISOString() },
+                { id: 'review-2', productId: '2', author: 'James P.', rating: 4, text: 'Lovely box, shipping took about two weeks.', createdAt: new Date(now - 30 * day).toISOString() },
+                { id: 'review-3', productId: '3', author: 'Ruth A.', rating: 5, text: 'Perfect for our small group Bible study.', createdAt: new Date(now - 8 * day).toISOString() },
+                { id: 'review-4', productId: '1', author: 'Esther L.', rating: 5, text: 'Watching the prayer video made me cry. Thank you!', createdAt: new Date(now - 3 * day).toISOString() }
+            ],
+            coupons: [
+                { code: 'SAVE10', type: 'percentage', value: 10, description: '10% off', minSubtotal: 0, expiresAt: null, usageLimit: null, usageCount: 0, stacking: 'exclusive' },
+                { code: 'WELCOME', type: 'percentage', value: 5, description: '5% off your first order', minSubtotal: 0, expiresAt: null, usageLimit: null, usageCount: 0, stacking: 'exclusive' },
+                { code: 'FREESHIP', type: 'free_shipping', value: 0, description: 'Free shipping', minSubtotal: 0, expiresAt: null, usageLimit: null, usageCount: 0 },
+                { code: 'FAITH5', type: 'fixed', value: 5, description: '$5 off orders over $40', minSubtotal: 40, expiresAt: null, usageLimit: 500, usageCount: 0, stacking: 'stackable' },
+                { code: 'GRACE3', type: 'bxgy', buy: 2, get: 1, value: 100, products: ['3'], description: 'Buy 2 Grace Boxes, get 1 free', minSubtotal: 0, expiresAt: null, usageLimit: null, usageCount: 0, stacking: 'exclusive' },
+                { code: 'BOXES15', type: 'percentage', value: 15, categories: ['boxes'], description: '15% off faith boxes', minSubtotal: 0, expiresAt: new Date(now + 14 * day).toISOString(), usageLimit: 100, usageCount: 0, stacking: 'exclusive' },
+                { code: 'EASTER', type: 'percentage', value: 20, description: '20% off for Easter', minSubtotal: 0, expiresAt: new Date(now - 2 * day).toISOString(), usageLimit: null, usageCount: 0, stacking: 'exclusive' }
+            ],
+            promotions: [
+                { id: 'bulk-blessing', automatic: true, type: 'percentage', value: 10, description: '10% off orders over $150', minSubtotal: 150, expiresAt: null, stacking: 'exclusive' },
+                { id: 'video-pair', automatic: true, type: 'bxgy', buy: 1, get: 1, value: 50, products: ['1'], description: 'Second prayer video half price', expiresAt: null, stacking: 'stackable' }
+            ],
+            orders: [
+                order('7F-100301', 'confirmed', 1, ['placed', 'confirmed']),
+                order('7F-100234', 'in_transit', 6, ['placed', 'confirmed', 'shipped', 'in_transit']),
+                order('7F-100198', 'delivered', 21, ['placed', 'confirmed', 'shipped', 'in_transit', 'delivered'])
+            ],
+            cart: { items: [], coupons: [], updatedAt: null },
+            carts: {},
+            favorites: [],
+            trending: ['faith box', 'prayer video', 'bible study gift', 'children\'s faith', 'custom box', 'home decor']
+        };
+    }
+}
+
+// Per 1 USD, a little off the client's fallback table so a live load is visible
+MockBackend.EXCHANGE_RATES = {
+    CAD: 1.38, MXN: 19.2, EUR: 0.93, GBP: 0.8, CHF: 0.87, SEK: 10.7, DKK: 6.94, NOK: 10.9, PLN: 4.01,
+    SGD: 1.35, MYR: 4.42, PHP: 57.9, THB: 35.8, VND: 25300, KRW: 1385, JPY: 151.4,
+    SAR: 3.75, QAR: 3.64, KWD: 0.307, AED: 3.6725, AUD: 1.53, NZD: 1.68
+};
+
+MockBackend.VERSION = 7; // Bump when the seed changes so stored databases are rebuilt
+MockBackend.REPLY = Symbol('mockReply');
+
+// Export and plug in for development
+window.MockBackend = MockBackend;
+
+if (MockBackend.isEnabled()) {
+    window.API.useAdapter(new MockBackend());
+}
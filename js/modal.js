@@ -477,8 +477,14 @@ class Modal {
     }
 
     showValidationErrors(form, errors) {
+        // Accept an APIError (e.g. a 422 ValidationError) as well as a [{ field, message }] list
+        if (errors && typeof errors.getFieldErrors === 'function') {
+            errors = errors.getFieldErrors();
+        }
+
         // Clear previous errors
         form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.error').forEach(field => field.classList.remove('error'));
 
         // Show new errors
         errors.forEach(error => {
@@ -169,12 +169,7 @@ class Notifications {
     }
 
     getDefaultDuration(type) {
-        const durations = {
-            success: 3000,
-            error: 5000,
-            warning: 4000,
-            info: 3000
-        };
+        const durations = window.Config.getObject('notifications.durations', {});
 
         return durations[type] || 3000;
     }
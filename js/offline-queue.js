@@ -0,0 +1,287 @@
+/**
+ * Offline Queue - Persists requests made while offline to IndexedDB and replays them in order
+ */
+
+class OfflineQueue {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'sevenfish_offline';
+        this.storeName = options.storeName || 'requests';
+        this.defaultExpiry = options.defaultExpiry || 24 * 60 * 60 * 1000; // 24 hours
+        this.replayedRetention = options.replayedRetention || 24 * 60 * 60 * 1000;
+        this.expiryRules = [];
+        this.memoryStore = new Map();
+        this.memorySequence = 0;
+        this.waiters = new Map();
+        this.isProcessing = false;
+        this.dbPromise = null;
+    }
+
+    // Storage
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('status', 'status', { unique: false });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Failed to open offline queue database:', request.error);
+                    resolve(null);
+                };
+            } catch (e) {
+                console.warn('IndexedDB unavailable, offline queue will not persist:', e);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.openDatabase();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const store = tx.objectStore(this.storeName);
+            let result;
+
+            const request = callback(store);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async saveEntry(entry) {
+        if (entry.persist) {
+            const { persist, ...record } = entry;
+            const id = await this.transaction('readwrite', store => store.put(record));
+            if (id !== null && id !== undefined) {
+                entry.id = id;
+                return entry;
+            }
+        }
+
+        // Memory fallback (non-serializable bodies or no IndexedDB)
+        if (entry.id === undefined) {
+            entry.id = `memory-${++this.memorySequence}`;
+        }
+        entry.persist = false;
+        this.memoryStore.set(entry.id, entry);
+        return entry;
+    }
+
+    async deleteEntry(id) {
+        if (this.memoryStore.delete(id)) return;
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    async getEntries(status = null) {
+        const persisted = (await this.transaction('readonly', store => store.getAll())) || [];
+        const entries = [
+            ...persisted.map(entry => ({ ...entry, persist: true })),
+            ...this.memoryStore.values()
+        ].sort((a, b) => a.createdAt - b.createdAt || a.sequence - b.sequence);
+
+        return status ? entries.filter(entry => entry.status === status) : entries;
+    }
+
+    async getStatus() {
+        const entries = await this.getEntries();
+        const counts = { pending: 0, failed: 0, replayed: 0 };
+
+        entries.forEach(entry => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        });
+
+        return {
+            ...counts,
+            total: entries.length,
+            isProcessing: this.isProcessing,
+            entries
+        };
+    }
+
+    // Expiry configuration
+    setExpiry(pattern, ttl) {
+        this.expiryRules = this.expiryRules.filter(rule => String(rule.pattern) !== String(pattern));
+        this.expiryRules.push({ pattern, ttl });
+    }
+
+    getExpiry(endpoint) {
+        const rule = this.expiryRules.find(({ pattern }) =>
+            pattern instanceof RegExp ? pattern.test(endpoint) : endpoint.startsWith(pattern)
+        );
+        return rule ? rule.ttl : this.defaultExpiry;
+    }
+
+    // Queue operations
+    async enqueue(endpoint, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const body = options.body === undefined ? null : options.body;
+        const now = Date.now();
+
+        const entry = {
+            idempotencyKey: options.idempotencyKey || window.Utils.generateUUID(),
+            endpoint,
+            method,
+            headers: { ...(options.headers || {}) },
+            body,
+            status: 'pending',
+            attempts: 0,
+            sequence: ++this.memorySequence,
+            createdAt: now,
+            expiresAt: now + this.getExpiry(endpoint),
+            lastError: null,
+            replayedAt: null,
+            // GETs are only worth replaying for callers still on the page
+            persist: method !== 'GET' && (body === null || typeof body === 'string')
+        };
+
+        await this.saveEntry(entry);
+
+        const promise = new Promise((resolve, reject) => {
+            this.waiters.set(entry.id, { resolve, reject });
+        });
+
+        this.emitUpdate();
+        return { entry, promise };
+    }
+
+    async replay(send) {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+        this.emitUpdate();
+
+        try {
+            if (navigator.locks && navigator.locks.request) {
+                // Only one tab replays the shared queue at a time
+                await navigator.locks.request(`${this.dbName}-replay`, () => this.replayPending(send));
+            } else {
+                await this.replayPending(send);
+            }
+        } finally {
+            this.isProcessing = false;
+            await this.pruneReplayed();
+            this.emitUpdate();
+        }
+    }
+
+    async replayPending(send) {
+        const pending = await this.getEntries('pending');
+
+        for (const entry of pending) {
+            if (Date.now() > entry.expiresAt) {
+                await this.settle(entry, 'failed', { error: new Error('Request expired') });
+                continue;
+            }
+
+            entry.attempts++;
+
+            try {
+                const result = await send(entry);
+                await this.settle(entry, 'replayed', { result });
+            } catch (error) {
+                if (!error.status) {
+                    // Still unreachable: stop here so later requests keep their order
+                    entry.lastError = error.message;
+                    await this.saveEntry(entry);
+                    break;
+                }
+
+                await this.settle(entry, 'failed', { error });
+            }
+        }
+    }
+
+    async settle(entry, status, { result, error } = {}) {
+        entry.status = status;
+        entry.lastError = error ? error.message : null;
+        entry.replayedAt = status === 'replayed' ? Date.now() : entry.replayedAt;
+        await this.saveEntry(entry);
+
+        const waiter = this.waiters.get(entry.id);
+        if (waiter) {
+            this.waiters.delete(entry.id);
+            if (status === 'replayed') {
+                waiter.resolve(result);
+            } else {
+                waiter.reject(error);
+            }
+        }
+
+        // Requests queued on a previous page load have no waiting caller
+        window.dispatchEvent(new CustomEvent('offlineQueueSettled', {
+            detail: { entry, result, error, hadWaiter: !!waiter }
+        }));
+    }
+
+    async retry(id) {
+        const entry = (await this.getEntries()).find(e => e.id === id);
+        if (!entry || entry.status !== 'failed') return false;
+
+        entry.status = 'pending';
+        entry.expiresAt = Date.now() + this.getExpiry(entry.endpoint);
+        await this.saveEntry(entry);
+        this.emitUpdate();
+        return true;
+    }
+
+    async remove(id) {
+        const waiter = this.waiters.get(id);
+        if (waiter) {
+            this.waiters.delete(id);
+            waiter.reject(new Error('Request removed from offline queue'));
+        }
+
+        await this.deleteEntry(id);
+        this.emitUpdate();
+    }
+
+    async clear(status = null) {
+        const entries = await this.getEntries(status);
+        for (const entry of entries) {
+            await this.remove(entry.id);
+        }
+    }
+
+    async pruneReplayed() {
+        const cutoff = Date.now() - this.replayedRetention;
+        const replayed = await this.getEntries('replayed');
+
+        for (const entry of replayed) {
+            if (entry.replayedAt < cutoff) {
+                await this.deleteEntry(entry.id);
+            }
+        }
+    }
+
+    async emitUpdate() {
+        const status = await this.getStatus();
+        window.dispatchEvent(new CustomEvent('offlineQueueUpdated', { detail: status }));
+    }
+}
+
+// Export for use in api.js
+window.OfflineQueue = OfflineQueue;
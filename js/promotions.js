@@ -0,0 +1,221 @@
+/**
+ * Promotions Service - Rule-based discounts for the cart: percentage, fixed amount,
+ * free shipping and buy-X-get-Y promotions with eligibility, expiry, usage limit and
+ * stacking rules, entered as coupon codes or applied automatically
+ */
+
+class Promotions {
+    /**
+     * A promotion:
+     *   { code, automatic, type: 'percentage' | 'fixed' | 'free_shipping' | 'bxgy', value,
+     *     description, minSubtotal, products: [ids], categories: [...], startsAt, expiresAt,
+     *     usageLimit, usageCount, stacking: 'exclusive' | 'stackable', buy, get }
+     * For bxgy, every buy + get eligible units take value% (100 = free) off the cheapest get.
+     */
+    constructor() {
+        this.automatic = [];   // Codeless promotions currently running
+        this.loadPromise = null;
+    }
+
+    // Automatic promotions come from the server, plus any the config lists
+    loadAutomatic() {
+        if (this.loadPromise) return this.loadPromise;
+
+        const combine = (promotions) => {
+            const configured = window.Config.getArray('promotions', []).filter(promotion => promotion.automatic);
+            this.automatic = [...configured, ...promotions.filter(promotion => promotion && promotion.automatic)];
+            return this.automatic;
+        };
+
+        // The catch comes last so a malformed response can't leave loadPromise rejected
+        this.loadPromise = window.API.getPromotions()
+            .then(response => {
+                const promotions = Array.isArray(response) ? response : response && response.promotions;
+                return combine(Array.isArray(promotions) ? promotions : []);
+            })
+            .catch(error => {
+                console.warn('Failed to load promotions:', error);
+                this.loadPromise = null; // Try again next time
+                return combine([]);
+            });
+
+        return this.loadPromise;
+    }
+
+    /**
+     * Check a code with the server, which owns usage counts and unpublished codes.
+     * Offline, codes listed in the config's "promotions" are accepted provisionally and
+     * checked again once the connection returns.
+     */
+    async validateCode(code, cart = {}) {
+        code = String(code || '').trim().toUpperCase();
+        if (!code) {
+            throw new ValidationError('Please enter a coupon code', { fieldErrors: { code: ['Please enter a coupon code'] } });
+        }
+
+        try {
+            const response = await window.API.applyCoupon(code, {
+                subtotal: cart.subtotal,
+                items: (cart.items || []).map(item => ({ productId: item.id, quantity: item.quantity, price: item.price }))
+            });
+            return { ...(response.coupon || response), code, provisional: false };
+        } catch (error) {
+            if (error.status || window.API.isOnline) throw error;
+
+            const known = window.Config.getArray('promotions', []).find(promotion => promotion.code === code);
+            if (!known) {
+                throw new ValidationError('Coupons can\'t be checked while you\'re offline. Please try again once you\'re back online.');
+            }
+            return { ...known, code, provisional: true };
+        }
+    }
+
+    /**
+     * Work out which promotions apply to a set of cart lines and what they save.
+     * Returns { discount, freeShipping, applied: [{ promotion, discount, label }],
+     * rejected: [{ promotion, reason }] }. Free shipping combines with anything;
+     * stackable discounts add up, and an exclusive one is used alone when it saves more.
+     */
+    evaluate(items, promotions, now = Date.now()) {
+        const subtotal = this.round(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+        const rejected = [];
+        const candidates = [];
+
+        promotions.forEach(promotion => {
+            const reason = this.check(promotion, items, now);
+            if (reason) {
+                rejected.push({ promotion, reason });
+                return;
+            }
+            candidates.push({
+                promotion,
+                discount: this.getDiscount(promotion, items),
+                label: this.getLabel(promotion)
+            });
+        });
+
+        const shipping = candidates.filter(candidate => candidate.promotion.type === 'free_shipping');
+        const discounts = candidates.filter(candidate => candidate.promotion.type !== 'free_shipping');
+        const stackable = discounts.filter(candidate => candidate.promotion.stacking === 'stackable');
+        const exclusive = discounts.filter(candidate => candidate.promotion.stacking !== 'stackable');
+
+        const total = (list) => list.reduce((sum, candidate) => sum + candidate.discount, 0);
+        const bestExclusive = exclusive.reduce((best, candidate) =>
+            !best || candidate.discount > best.discount ? candidate : best, null);
+
+        let chosen = stackable;
+        if (bestExclusive && bestExclusive.discount > total(stackable)) {
+            chosen = [bestExclusive];
+        }
+
+        discounts.filter(candidate => !chosen.includes(candidate)).forEach(candidate => {
+            const winner = chosen[0];
+            rejected.push({
+                promotion: candidate.promotion,
+                reason: winner
+                    ? `${this.getLabel(candidate.promotion)} can't be combined with ${winner.label}`
+                    : `${this.getLabel(candidate.promotion)} can't be combined with other offers`
+            });
+        });
+
+        const applied = [...chosen, ...shipping];
+        return {
+            discount: this.round(Math.min(total(chosen), subtotal)),
+            freeShipping: shipping.length > 0,
+            applied,
+            rejected
+        };
+    }
+
+    // Why a promotion doesn't apply right now, or null when it does
+    check(promotion, items, now = Date.now()) {
+        const label = this.getLabel(promotion);
+
+        if (promotion.startsAt && new Date(promotion.startsAt).getTime() > now) {
+            return `${label} hasn't started yet`;
+        }
+        if (promotion.expiresAt && new Date(promotion.expiresAt).getTime() < now) {
+            return `${label} has expired`;
+        }
+        if (promotion.usageLimit !== null && promotion.usageLimit !== undefined &&
+            (promotion.usageCount || 0) >= promotion.usageLimit) {
+            return `${label} has been fully redeemed`;
+        }
+
+        const eligible = this.getEligibleItems(promotion, items);
+        if (eligible.length === 0) {
+            return `No items in your cart qualify for ${label}`;
+        }
+
+        const eligibleSubtotal = this.round(eligible.reduce((sum, item) => sum + item.price * item.quantity, 0));
+        if (promotion.minSubtotal && eligibleSubtotal < promotion.minSubtotal) {
+            return `Add ${window.Currency.format(promotion.minSubtotal - eligibleSubtotal)} more to use ${label}`;
+        }
+
+        if (promotion.type === 'bxgy') {
+            const units = eligible.reduce((sum, item) => sum + item.quantity, 0);
+            if (units < (promotion.buy || 1) + (promotion.get || 1)) {
+                return `Add ${(promotion.buy || 1) + (promotion.get || 1) - units} more qualifying item(s) to use ${label}`;
+            }
+        }
+
+        return null;
+    }
+
+    // Lines the promotion covers: all of them unless it names products or categories
+    getEligibleItems(promotion, items) {
+        const products = (promotion.products || []).map(String);
+        const categories = promotion.categories || [];
+        if (products.length === 0 && categories.length === 0) return items;
+
+        return items.filter(item => products.includes(String(item.id)) || categories.includes(item.category));
+    }
+
+    getDiscount(promotion, items) {
+        const eligible = this.getEligibleItems(promotion, items);
+        const eligibleSubtotal = eligible.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+        switch (promotion.type) {
+            case 'percentage':
+                return this.round(eligibleSubtotal * promotion.value / 100);
+            case 'fixed':
+                return this.round(Math.min(promotion.value, eligibleSubtotal));
+            case 'bxgy':
+                return this.getBuyXGetYDiscount(promotion, eligible);
+            default:
+                return 0;
+        }
+    }
+
+    // Units sorted by price, most expensive first; in each full group the cheapest get units are discounted
+    getBuyXGetYDiscount(promotion, items) {
+        const buy = promotion.buy || 1;
+        const get = promotion.get || 1;
+        const percent = promotion.value !== undefined ? promotion.value : 100;
+
+        const units = [];
+        items.forEach(item => {
+            for (let i = 0; i < item.quantity; i++) units.push(item.price);
+        });
+        units.sort((a, b) => b - a);
+
+        let discount = 0;
+        for (let start = 0; start + buy + get <= units.length; start += buy + get) {
+            units.slice(start + buy, start + buy + get).forEach(price => {
+                discount += price * percent / 100;
+            });
+        }
+        return this.round(discount);
+    }
+
+    getLabel(promotion) {
+        return promotion.code || promotion.description || 'This offer';
+    }
+
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+// Create global instance
+window.Promotions = new Promotions();
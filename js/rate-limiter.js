@@ -0,0 +1,125 @@
+/**
+ * Rate Limiter - Client-side token buckets and server Retry-After tracking for API requests
+ */
+
+class RateLimiter {
+    constructor() {
+        this.buckets = [];
+        this.blockedUntil = new Map();
+    }
+
+    /**
+     * Limit requests whose path starts with (or matches) pattern.
+     * capacity - burst size; refillRate - tokens added per second
+     */
+    configure(pattern, { capacity = 10, refillRate = 5 } = {}) {
+        this.buckets = this.buckets.filter(bucket => String(bucket.pattern) !== String(pattern));
+        this.buckets.push({
+            pattern,
+            capacity,
+            refillRate,
+            tokens: capacity,
+            updatedAt: Date.now()
+        });
+    }
+
+    remove(pattern) {
+        this.buckets = this.buckets.filter(bucket => String(bucket.pattern) !== String(pattern));
+    }
+
+    getPath(url) {
+        try {
+            return new URL(url, window.location.href).pathname;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    findBucket(path) {
+        return this.buckets.find(({ pattern }) =>
+            pattern instanceof RegExp ? pattern.test(path) : path.includes(pattern)
+        );
+    }
+
+    refill(bucket) {
+        const now = Date.now();
+        const elapsed = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillRate);
+        bucket.updatedAt = now;
+    }
+
+    // Resolves once the endpoint is neither blocked by the server nor out of tokens
+    async acquire(url) {
+        const path = this.getPath(url);
+
+        for (;;) {
+            const blockedFor = (this.blockedUntil.get(path) || 0) - Date.now();
+            if (blockedFor > 0) {
+                await this.wait(path, blockedFor, 'server');
+                continue;
+            }
+
+            const bucket = this.findBucket(path);
+            if (!bucket) return;
+
+            this.refill(bucket);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return;
+            }
+
+            await this.wait(path, Math.ceil(((1 - bucket.tokens) / bucket.refillRate) * 1000), 'client');
+        }
+    }
+
+    wait(path, ms, source) {
+        window.dispatchEvent(new CustomEvent('apiThrottled', {
+            detail: { endpoint: path, waitMs: ms, retryAt: Date.now() + ms, source }
+        }));
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Hold further requests to this endpoint until the server's Retry-After passes
+    block(url, ms) {
+        const path = this.getPath(url);
+        const until = Date.now() + ms;
+        this.blockedUntil.set(path, Math.max(until, this.blockedUntil.get(path) || 0));
+    }
+
+    /**
+     * Retry-After may be delta-seconds or an HTTP date; bodies use retry_after seconds.
+     * Returns milliseconds, or null when neither is present.
+     */
+    static parseRetryAfter(header, data = {}) {
+        if (header) {
+            const seconds = Number(header);
+            if (Number.isFinite(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+
+            const date = Date.parse(header);
+            if (!isNaN(date)) {
+                return Math.max(0, date - Date.now());
+            }
+        }
+
+        if (data && Number.isFinite(Number(data.retry_after))) {
+            return Math.max(0, Number(data.retry_after) * 1000);
+        }
+
+        return null;
+    }
+
+    // Full-jitter exponential backoff, or the server's delay plus up to 20% jitter
+    static getRetryDelay(attempt, retryAfter = null, baseDelay = 1000, maxDelay = 30000) {
+        if (retryAfter !== null && retryAfter !== undefined) {
+            return Math.round(retryAfter + Math.random() * retryAfter * 0.2);
+        }
+
+        const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+        return Math.round(Math.random() * ceiling);
+    }
+}
+
+// Export for use in api.js
+window.RateLimiter = RateLimiter;
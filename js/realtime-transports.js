@@ -0,0 +1,247 @@
+/**
+ * Realtime Transports - Interchangeable WebSocket, Server-Sent Events and long-polling
+ * connections used by RealtimeClient. Each transport reports back through the same
+ * callbacks: onopen(), onmessage(raw), onclose(), onerror(error).
+ */
+
+class RealtimeTransport {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.clientId = options.clientId;
+        this.getAuthToken = options.getAuthToken || (() => null);
+        this.sendURL = options.sendURL || null;
+        this.opened = false;
+        this.closed = false;
+
+        this.onopen = () => {};
+        this.onmessage = () => {};
+        this.onclose = () => {};
+        this.onerror = () => {};
+    }
+
+    static isSupported() {
+        return true;
+    }
+
+    // Whether the client should run its own ping/pong heartbeat over this transport
+    get needsHeartbeat() {
+        return false;
+    }
+
+    // Whether the auth token travels as a message after connecting (vs. with each HTTP request)
+    get authenticatesInline() {
+        return false;
+    }
+
+    isOpen() {
+        return this.opened && !this.closed;
+    }
+
+    markOpen() {
+        if (this.opened || this.closed) return;
+        this.opened = true;
+        this.onopen();
+    }
+
+    markClosed() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onclose();
+    }
+
+    withClientId(url, params = {}) {
+        const target = new URL(url, window.location.href);
+        target.searchParams.set('clientId', this.clientId);
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== null && value !== undefined) {
+                target.searchParams.set(key, value);
+            }
+        });
+        return target.toString();
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = this.getAuthToken();
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        return headers;
+    }
+
+    // HTTP transports are receive-only; outgoing messages are POSTed alongside the stream
+    send(message) {
+        if (!this.isOpen() || !this.sendURL) return false;
+
+        fetch(this.withClientId(this.sendURL), {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(message),
+            keepalive: true
+        }).catch(error => this.onerror(error));
+
+        return true;
+    }
+}
+
+class WebSocketTransport extends RealtimeTransport {
+    static isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    get name() {
+        return 'websocket';
+    }
+
+    get needsHeartbeat() {
+        return true;
+    }
+
+    get authenticatesInline() {
+        return true;
+    }
+
+    open() {
+        this.ws = new WebSocket(this.url);
+
+        this.ws.onopen = () => this.markOpen();
+        this.ws.onmessage = (event) => this.onmessage(event.data);
+        this.ws.onclose = () => this.markClosed();
+        this.ws.onerror = (error) => this.onerror(error);
+    }
+
+    isOpen() {
+        return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    send(message) {
+        if (!this.isOpen()) return false;
+        this.ws.send(JSON.stringify(message));
+        return true;
+    }
+
+    close() {
+        if (this.ws) {
+            this.ws.close();
+        }
+        this.markClosed();
+    }
+}
+
+class SSETransport extends RealtimeTransport {
+    static isSupported() {
+        return typeof EventSource !== 'undefined';
+    }
+
+    get name() {
+        return 'sse';
+    }
+
+    open() {
+        // EventSource can't set headers, so the token rides in the query string
+        this.source = new EventSource(this.withClientId(this.url, {
+            token: this.getAuthToken(),
+            lastEventId: this.lastEventId
+        }));
+
+        this.source.onopen = () => this.markOpen();
+        this.source.onmessage = (event) => {
+            if (event.lastEventId) {
+                this.lastEventId = event.lastEventId;
+            }
+            this.onmessage(event.data);
+        };
+
+        // EventSource retries on its own with no backoff; hand reconnection back to the client
+        this.source.onerror = (error) => {
+            this.onerror(error);
+            this.close();
+        };
+    }
+
+    close() {
+        if (this.source) {
+            this.source.close();
+        }
+        this.markClosed();
+    }
+}
+
+class LongPollingTransport extends RealtimeTransport {
+    constructor(url, options = {}) {
+        super(url, options);
+        this.pollTimeout = options.pollTimeout || 35000;
+        this.cursor = null;
+        this.controller = null;
+    }
+
+    get name() {
+        return 'polling';
+    }
+
+    open() {
+        this.poll();
+    }
+
+    // Each request is held by the server until messages arrive (or its own timeout passes).
+    // The first request carries no cursor and is answered straight away with the current one.
+    async poll() {
+        while (!this.closed) {
+            this.controller = new AbortController();
+            const timer = setTimeout(() => this.controller.abort(), this.pollTimeout);
+
+            try {
+                const response = await fetch(this.withClientId(this.url, { cursor: this.cursor }), {
+                    headers: this.getHeaders(),
+                    signal: this.controller.signal
+                });
+
+                if (!response.ok) {
+                    throw new APIError(`Long poll failed with status ${response.status}`, { status: response.status });
+                }
+
+                this.markOpen();
+
+                if (response.status !== 204) {
+                    const payload = await response.json();
+                    if (payload.cursor !== undefined) {
+                        this.cursor = payload.cursor;
+                    }
+                    (payload.messages || []).forEach(message => this.onmessage(message));
+                }
+            } catch (error) {
+                if (this.closed) return;
+
+                // A poll the server held past our timeout is just an empty round
+                if (error.name === 'AbortError' && this.opened) continue;
+
+                this.onerror(error);
+                this.close();
+                return;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    }
+
+    close() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.markClosed();
+    }
+}
+
+// Registry used by RealtimeClient, in default preference order
+const RealtimeTransports = {
+    websocket: WebSocketTransport,
+    sse: SSETransport,
+    polling: LongPollingTransport
+};
+
+// Export for use in realtime.js
+window.RealtimeTransport = RealtimeTransport;
+window.WebSocketTransport = WebSocketTransport;
+window.SSETransport = SSETransport;
+window.LongPollingTransport = LongPollingTransport;
+window.RealtimeTransports = RealtimeTransports;
@@ -0,0 +1,428 @@
+/**
+ * Realtime Client - WebSocket connection (with SSE and long-polling fallbacks) providing
+ * topic subscriptions, heartbeats, buffered sends, request/response correlation and
+ * typed message handlers
+ */
+
+class RealtimeClient {
+    constructor(options = {}) {
+        this.endpoints = {
+            websocket: options.url || null,
+            sse: options.sseURL || '/api/realtime/events',
+            polling: options.pollURL || '/api/realtime/poll',
+            send: options.sendURL || '/api/realtime/send'
+        };
+        this.transports = options.transports || Object.keys(RealtimeTransports);
+        this.maxTransportFailures = options.maxTransportFailures || 2;
+        this.negotiate = options.negotiate || null;
+        this.onMessage = options.onMessage || ((message) => this.dispatch(message));
+        this.getAuthToken = options.getAuthToken || (() => null);
+        this.heartbeatInterval = options.heartbeatInterval || 25000;
+        this.heartbeatTimeout = options.heartbeatTimeout || 10000;
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.maxBufferSize = options.maxBufferSize || 100;
+        this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+
+        this.clientId = this.createClientId();
+        this.transport = null;
+        this.transportIndex = 0;
+        this.transportFailures = 0;
+        this.status = 'idle';
+        this.shouldReconnect = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.livenessTimer = null;
+        this.outbox = [];
+        this.topics = new Map();
+        this.handlers = new Map();
+        this.pending = new Map();
+        this.messageId = 0;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        // Don't burn reconnect attempts while the browser knows it's offline
+        window.addEventListener('online', () => {
+            if (this.shouldReconnect && !this.transport) {
+                this.reconnectAttempts = 0;
+                this.open();
+            }
+        });
+
+        window.addEventListener('offline', () => {
+            clearTimeout(this.reconnectTimer);
+        });
+    }
+
+    createClientId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    // Connection lifecycle
+
+    /**
+     * url - WebSocket URL, or { websocket, sse, polling, send } endpoint overrides.
+     * options.negotiate - ask the server which transports to use before connecting
+     */
+    async connect(url = null, options = {}) {
+        if (typeof url === 'string') {
+            this.endpoints.websocket = url;
+        } else if (url) {
+            this.endpoints = { ...this.endpoints, ...url };
+        }
+        this.shouldReconnect = true;
+
+        if (this.transport && !this.transport.closed) {
+            return this;
+        }
+
+        if (options.negotiate && this.negotiate) {
+            await this.negotiateTransports();
+        }
+
+        this.open();
+        return this;
+    }
+
+    async negotiateTransports() {
+        try {
+            const result = await this.negotiate();
+            if (result && result.endpoints) {
+                this.endpoints = { ...this.endpoints, ...result.endpoints };
+            }
+            if (result && Array.isArray(result.transports) && result.transports.length > 0) {
+                this.transports = result.transports.filter(name => RealtimeTransports[name]);
+                this.transportIndex = 0;
+            }
+        } catch (error) {
+            console.warn('Realtime negotiation failed, using default transport order:', error);
+        }
+    }
+
+    // Transports this browser supports and we have an endpoint for, in preference order
+    getAvailableTransports() {
+        return this.transports.filter(name =>
+            RealtimeTransports[name] && RealtimeTransports[name].isSupported() && this.endpoints[name]
+        );
+    }
+
+    getTransportName() {
+        return this.transport ? this.transport.name : null;
+    }
+
+    open() {
+        clearTimeout(this.reconnectTimer);
+
+        const available = this.getAvailableTransports();
+        if (available.length === 0) {
+            console.error('No realtime transport available');
+            this.setStatus('closed');
+            return;
+        }
+
+        const name = available[Math.min(this.transportIndex, available.length - 1)];
+        const transport = new RealtimeTransports[name](this.endpoints[name], {
+            clientId: this.clientId,
+            getAuthToken: this.getAuthToken,
+            sendURL: this.endpoints.send
+        });
+
+        // Ignore late callbacks from transports we've already moved on from
+        transport.onopen = () => transport === this.transport && this.handleOpen();
+        transport.onmessage = (raw) => transport === this.transport && this.handleRawMessage(raw);
+        transport.onclose = () => transport === this.transport && this.handleClose();
+        transport.onerror = (error) => {
+            console.error(`Realtime ${name} error:`, error);
+        };
+
+        this.transport = transport;
+        this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+        try {
+            transport.open();
+        } catch (error) {
+            console.error(`Failed to open realtime ${name} transport:`, error);
+            this.handleClose();
+        }
+    }
+
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.stopHeartbeat();
+
+        if (this.transport) {
+            const transport = this.transport;
+            this.transport = null;
+            transport.close();
+        }
+
+        this.setStatus('closed');
+    }
+
+    handleOpen() {
+        this.reconnectAttempts = 0;
+        this.transportFailures = 0;
+        this.setStatus('open');
+
+        // WebSockets authenticate with a message; HTTP transports send the token with each request
+        const token = this.getAuthToken();
+        if (token && this.transport.authenticatesInline) {
+            this.sendNow({ type: 'auth', token });
+        }
+
+        // Re-establish subscriptions, then deliver anything queued while disconnected
+        if (this.topics.size > 0) {
+            this.sendNow({ type: 'subscribe', topics: Array.from(this.topics.keys()) });
+        }
+
+        const outbox = this.outbox;
+        this.outbox = [];
+        outbox.forEach(message => this.sendNow(message));
+
+        if (this.transport.needsHeartbeat) {
+            this.startHeartbeat();
+        }
+    }
+
+    handleClose() {
+        const transport = this.transport;
+        this.stopHeartbeat();
+        this.transport = null;
+
+        if (!this.shouldReconnect) {
+            this.setStatus('closed');
+            return;
+        }
+
+        // Transports that never manage to open (e.g. a proxy dropping WebSocket upgrades)
+        // are abandoned for the next one after a couple of attempts
+        if (transport && !transport.opened) {
+            this.transportFailures++;
+
+            const available = this.getAvailableTransports();
+            if (this.transportFailures >= this.maxTransportFailures && this.transportIndex < available.length - 1) {
+                this.transportIndex++;
+                this.transportFailures = 0;
+                this.reconnectAttempts = 0;
+                console.warn(`Realtime ${transport.name} transport unavailable, falling back to ${available[this.transportIndex]}`);
+                this.open();
+                return;
+            }
+        }
+
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        this.setStatus('reconnecting');
+        if (!navigator.onLine) return; // Resumed by the 'online' listener
+
+        this.reconnectAttempts++;
+        const ceiling = Math.min(1000 * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
+        const delay = ceiling / 2 + Math.random() * ceiling / 2;
+
+        this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        window.dispatchEvent(new CustomEvent('realtimeStatus', {
+            detail: { status, transport: this.getTransportName() }
+        }));
+    }
+
+    isOpen() {
+        return !!this.transport && this.transport.isOpen();
+    }
+
+    // Liveness
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.heartbeatTimer = setInterval(() => {
+            this.sendNow({ type: 'ping', id: this.nextId() });
+
+            if (!this.livenessTimer) {
+                this.livenessTimer = setTimeout(() => {
+                    // No pong (or any other traffic) in time: assume the connection is dead
+                    console.warn('Realtime heartbeat timed out, reconnecting');
+                    if (this.transport) {
+                        this.transport.close();
+                    }
+                }, this.heartbeatTimeout);
+            }
+        }, this.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.livenessTimer);
+        this.heartbeatTimer = null;
+        this.livenessTimer = null;
+    }
+
+    markAlive() {
+        clearTimeout(this.livenessTimer);
+        this.livenessTimer = null;
+    }
+
+    // Outbound messages
+    nextId() {
+        return `${Date.now().toString(36)}-${++this.messageId}`;
+    }
+
+    sendNow(message) {
+        return this.transport.send(message);
+    }
+
+    send(type, data = {}) {
+        const message = { type, ...data };
+
+        if (this.isOpen() && this.sendNow(message)) {
+            return true;
+        }
+
+        // Buffer until reconnected; drop the oldest if the buffer is full
+        if (this.outbox.length >= this.maxBufferSize) {
+            this.outbox.shift();
+        }
+        this.outbox.push(message);
+        return false;
+    }
+
+    // Send a message and resolve with the reply carrying the same correlation ID
+    request(type, data = {}, options = {}) {
+        const id = this.nextId();
+        const timeout = options.timeout || this.requestTimeout;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new TimeoutError(`Realtime request "${type}" timed out`));
+            }, timeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.send(type, { ...data, id });
+        });
+    }
+
+    // Subscriptions
+    subscribe(topic, handler = null) {
+        const entry = this.topics.get(topic) || { handlers: new Set() };
+        const isNew = !this.topics.has(topic);
+
+        if (handler) {
+            entry.handlers.add(handler);
+        }
+        this.topics.set(topic, entry);
+
+        if (isNew && this.isOpen()) {
+            this.sendNow({ type: 'subscribe', topics: [topic] });
+        }
+
+        return () => this.unsubscribe(topic, handler);
+    }
+
+    unsubscribe(topic, handler = null) {
+        const entry = this.topics.get(topic);
+        if (!entry) return;
+
+        if (handler) {
+            entry.handlers.delete(handler);
+            if (entry.handlers.size > 0) return;
+        }
+
+        this.topics.delete(topic);
+        if (this.isOpen()) {
+            this.sendNow({ type: 'unsubscribe', topics: [topic] });
+        }
+    }
+
+    // Typed handler registry
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    // Inbound messages
+    // WebSocket and SSE deliver JSON strings; long polling delivers parsed objects
+    handleRawMessage(raw) {
+        this.markAlive();
+
+        let message;
+        try {
+            message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+            console.error('Failed to parse realtime message:', error);
+            return;
+        }
+
+        this.onMessage(message);
+    }
+
+    dispatch(message) {
+        if (!message || message.type === 'pong') return;
+
+        // Replies to request()
+        const replyId = message.replyTo || message.correlationId;
+        if (replyId && this.pending.has(replyId)) {
+            const { resolve, reject, timer } = this.pending.get(replyId);
+            clearTimeout(timer);
+            this.pending.delete(replyId);
+
+            if (message.error) {
+                reject(new APIError(message.error.message || message.error, { data: message }));
+            } else {
+                resolve(message.data !== undefined ? message.data : message);
+            }
+            return;
+        }
+
+        let handled = false;
+
+        const typeHandlers = this.handlers.get(message.type);
+        if (typeHandlers && typeHandlers.size > 0) {
+            typeHandlers.forEach(handler => this.invoke(handler, message));
+            handled = true;
+        }
+
+        const topic = message.topic && this.topics.get(message.topic);
+        if (topic && topic.handlers.size > 0) {
+            topic.handlers.forEach(handler => this.invoke(handler, message));
+            handled = true;
+        }
+
+        if (!handled) {
+            // Dispatch custom event for other components to handle
+            window.dispatchEvent(new CustomEvent('websocketMessage', { detail: message }));
+        }
+    }
+
+    invoke(handler, message) {
+        try {
+            handler(message);
+        } catch (error) {
+            console.error(`Realtime handler for "${message.type}" failed:`, error);
+        }
+    }
+}
+
+// Export for use in api.js
+window.RealtimeClient = RealtimeClient;
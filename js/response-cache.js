@@ -0,0 +1,178 @@
+/**
+ * Response Cache - HTTP-aware cache for API GET responses with stale-while-revalidate and tags
+ */
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.defaultTTL = options.defaultTTL || 5 * 60 * 1000; // 5 minutes
+        this.entries = new Map();
+        this.backend = options.backend || null;
+        this.resetStats();
+    }
+
+    // Optional persistent backend: { get(key), set(key, entry), remove(key), keys() }
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    static localStorageBackend(prefix = 'apiCache:') {
+        return {
+            get: (key) => window.Utils.storage.get(prefix + key),
+            set: (key, entry) => window.Utils.storage.set(prefix + key, entry),
+            remove: (key) => window.Utils.storage.remove(prefix + key),
+            keys: () => {
+                const keys = [];
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key && key.startsWith(prefix)) {
+                        keys.push(key.slice(prefix.length));
+                    }
+                }
+                return keys;
+            }
+        };
+    }
+
+    // Header parsing
+    static parseCacheControl(header) {
+        const directives = {};
+        if (!header) return directives;
+
+        header.split(',').forEach(part => {
+            const [name, value] = part.trim().toLowerCase().split('=');
+            if (name) {
+                directives[name] = value === undefined ? true : parseInt(value, 10);
+            }
+        });
+
+        return {
+            noStore: !!directives['no-store'],
+            noCache: !!directives['no-cache'],
+            maxAge: Number.isFinite(directives['max-age']) ? directives['max-age'] * 1000 : null,
+            staleWhileRevalidate: Number.isFinite(directives['stale-while-revalidate'])
+                ? directives['stale-while-revalidate'] * 1000
+                : null
+        };
+    }
+
+    // Entry access
+    get(key) {
+        let entry = this.entries.get(key);
+
+        if (!entry && this.backend) {
+            entry = this.backend.get(key);
+            if (entry) {
+                this.entries.set(key, entry);
+            }
+        }
+
+        return entry || null;
+    }
+
+    set(key, data, options = {}) {
+        const now = Date.now();
+        const ttl = options.ttl !== undefined && options.ttl !== null ? options.ttl : this.defaultTTL;
+        const entry = {
+            data,
+            etag: options.etag || null,
+            lastModified: options.lastModified || null,
+            tags: options.tags || [],
+            storedAt: now,
+            expiresAt: now + ttl,
+            staleUntil: now + ttl + (options.staleWhileRevalidate || 0)
+        };
+
+        this.entries.set(key, entry);
+        if (this.backend) {
+            this.backend.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    // Extend an entry's lifetime after a 304 Not Modified
+    refresh(key, options = {}) {
+        const entry = this.get(key);
+        if (!entry) return null;
+
+        return this.set(key, entry.data, {
+            ttl: options.ttl,
+            staleWhileRevalidate: options.staleWhileRevalidate,
+            etag: options.etag || entry.etag,
+            lastModified: options.lastModified || entry.lastModified,
+            tags: entry.tags
+        });
+    }
+
+    isFresh(entry) {
+        return !!entry && entry.expiresAt > Date.now();
+    }
+
+    isStale(entry) {
+        return !!entry && !this.isFresh(entry) && entry.staleUntil > Date.now();
+    }
+
+    // Invalidation
+    invalidate(key) {
+        this.entries.delete(key);
+        if (this.backend) {
+            this.backend.remove(key);
+        }
+    }
+
+    invalidateTags(tags) {
+        const tagList = Array.isArray(tags) ? tags : [tags];
+        let removed = 0;
+
+        this.keys().forEach(key => {
+            const entry = this.get(key);
+            if (entry && entry.tags.some(tag => tagList.includes(tag))) {
+                this.invalidate(key);
+                removed++;
+            }
+        });
+
+        this.stats.invalidations += removed;
+        return removed;
+    }
+
+    clear() {
+        this.keys().forEach(key => this.invalidate(key));
+    }
+
+    keys() {
+        const keys = new Set(this.entries.keys());
+        if (this.backend) {
+            this.backend.keys().forEach(key => keys.add(key));
+        }
+        return Array.from(keys);
+    }
+
+    // Statistics
+    record(type) {
+        this.stats[type]++;
+    }
+
+    resetStats() {
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            staleHits: 0,
+            revalidations: 0,
+            notModified: 0,
+            invalidations: 0
+        };
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+        return {
+            ...this.stats,
+            size: this.keys().length,
+            hitRate: lookups > 0 ? (this.stats.hits + this.stats.staleHits) / lookups : 0
+        };
+    }
+}
+
+// Export for use in api.js
+window.ResponseCache = ResponseCache;
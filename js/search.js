@@ -66,6 +66,9 @@ class Search {
         }
 
         if (query.length === 0) {
+            if (window.API) {
+                window.API.cancelChannel('search-suggestions');
+            }
             this.hideSearchDropdown();
             return;
         }
@@ -73,7 +76,7 @@ class Search {
         // Debounce search suggestions
         this.searchTimeout = setTimeout(() => {
             this.loadSearchSuggestions(query);
-        }, 300);
+        }, window.Config.getNumber('search.suggestionDelay', 300));
     }
 
     showSearchDropdown() {
@@ -130,17 +133,25 @@ class Search {
         const suggestionsList = document.querySelector('.suggestions-list');
         if (!suggestionsList) return;
 
-        // Mock suggestions - in real app, this would be an API call
-        const suggestions = [
-            `${query} handmade`,
-            `${query} vintage`,
-            `${query} unique`,
-            `${query} custom`,
-            `${query} personalized`
-        ];
+        // The API keeps only the latest call on the suggestions channel alive
+        window.API.getSearchSuggestions(query)
+            .then(response => {
+                const suggestions = Array.isArray(response) ? response : (response && response.suggestions) || [];
+                this.renderSearchSuggestions(suggestions);
+            })
+            .catch(error => {
+                // Superseded by a newer keystroke
+                if (error.cancelled) return;
+                this.renderSearchSuggestions([]);
+            });
+    }
+
+    renderSearchSuggestions(suggestions) {
+        const suggestionsList = document.querySelector('.suggestions-list');
+        if (!suggestionsList) return;
 
         suggestionsList.innerHTML = suggestions
-            .map(suggestion => `<li><a href="#" data-suggestion="${suggestion}">${suggestion}</a></li>`)
+            .map(suggestion => this.renderSuggestionItem(suggestion))
             .join('');
 
         // Show suggestions section
@@ -150,6 +161,12 @@ class Search {
         }
     }
 
+    // Suggestions, trending and recent terms come from the API or localStorage
+    renderSuggestionItem(term) {
+        const text = window.Utils.escapeHTML(term);
+        return `<li><a href="#" data-suggestion="${text}">${text}</a></li>`;
+    }
+
     loadRecentSearches() {
         const recentSearches = this.getRecentSearches();
         const recentList = document.querySelector('.recent-list');
@@ -157,7 +174,7 @@ class Search {
 
         if (recentList && recentSearches.length > 0) {
             recentList.innerHTML = recentSearches
-                .map(search => `<li><a href="#" data-suggestion="${search}">${search}</a></li>`)
+                .map(search => this.renderSuggestionItem(search))
                 .join('');
             recentSearchesDiv.style.display = 'block';
         } else {
@@ -166,22 +183,17 @@ class Search {
     }
 
     loadTrendingSearches() {
-        // Mock trending searches
-        const trendingSearches = [
-            'handmade jewelry',
-            'vintage clothing',
-            'home decor',
-            'wedding gifts',
-            'art prints',
-            'custom mugs'
-        ];
-
         const trendingList = document.querySelector('.trending-list');
-        if (trendingList) {
-            trendingList.innerHTML = trendingSearches
-                .map(search => `<li><a href="#" data-suggestion="${search}">${search}</a></li>`)
-                .join('');
-        }
+        if (!trendingList) return;
+
+        window.API.getTrendingSearches()
+            .then(response => {
+                const trendingSearches = Array.isArray(response) ? response : (response && response.searches) || [];
+                trendingList.innerHTML = trendingSearches
+                    .map(search => this.renderSuggestionItem(search))
+                    .join('');
+            })
+            .catch(error => console.error('Failed to load trending searches:', error));
     }
 
     getRecentSearches() {
@@ -211,6 +223,11 @@ class Search {
         // Save to recent searches
         this.saveRecentSearch(searchQuery);
 
+        // Sent by beacon if the navigation below beats the next batch
+        if (window.Analytics) {
+            window.Analytics.search(searchQuery);
+        }
+
         // Navigate to search results
         const searchUrl = `/search?q=${encodeURIComponent(searchQuery)}`;
         window.location.href = searchUrl;
@@ -221,8 +238,8 @@ class Search {
         const filtered = recentSearches.filter(search => search !== query);
         filtered.unshift(query);
 
-        // Keep only last 10 searches
-        const limited = filtered.slice(0, 10);
+        // Keep only the most recent searches
+        const limited = filtered.slice(0, window.Config.getNumber('search.recentSearchLimit', 10));
         localStorage.setItem('recentSearches', JSON.stringify(limited));
     }
 
@@ -232,11 +249,30 @@ class Search {
 
         this.showLoadingState();
 
-        // Mock API call - in real app, this would be an actual API request
-        setTimeout(() => {
-            this.renderSearchResults(this.getMockSearchResults());
-            this.hideLoadingState();
-        }, 1000);
+        this.fetchResults(1)
+            .then(results => {
+                this.renderSearchResults(results);
+                this.hideLoadingState();
+            })
+            .catch(error => {
+                // Superseded by a newer filter or sort change
+                if (error.cancelled) return;
+
+                resultsContainer.innerHTML = `
+                    <div class="no-results">
+                        <h3>Search is unavailable right now</h3>
+                        <p>${error.name === 'NetworkError' ? window.Utils.escapeHTML(error.message) : 'Please try again in a moment.'}</p>
+                    </div>
+                `;
+            });
+    }
+
+    fetchResults(page) {
+        return window.API.search(this.currentQuery, { ...this.currentFilters, page }, { channel: 'search-results' })
+            .then(results => {
+                this.hasMoreResults = !!results.hasMore;
+                return { ...results, query: this.currentQuery };
+            });
     }
 
     showLoadingState() {
@@ -263,11 +299,12 @@ class Search {
         if (!resultsContainer) return;
 
         const { items, total, query } = results;
+        const escape = window.Utils.escapeHTML;
 
         if (items.length === 0) {
             resultsContainer.innerHTML = `
                 <div class="no-results">
-                    <h3>No results found for "${query}"</h3>
+                    <h3>No results found for "${escape(query)}"</h3>
                     <p>Try adjusting your search terms or browse our categories.</p>
                     <div class="popular-categories">
                         <h4>Popular categories</h4>
@@ -293,7 +330,7 @@ class Search {
 
         resultsContainer.innerHTML = `
             <div class="search-header">
-                <h2>${total} results for "${query}"</h2>
+                <h2>${escape(total)} results for "${escape(query)}"</h2>
                 <div class="search-actions">
                     <button class="btn btn-outline save-search-btn">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -303,7 +340,7 @@ class Search {
                     </button>
                 </div>
             </div>
-            <div class="products-grid">
+            <div class="products-grid" data-layout="${escape(window.Experiments.getValue('search_layout', 'grid'))}">
                 ${items.map(item => this.renderProductCard(item)).join('')}
             </div>
             ${this.hasMoreResults ? `
@@ -331,25 +368,26 @@ class Search {
     }
 
     renderProductCard(item) {
+        const escape = window.Utils.escapeHTML;
         return `
-            <div class="product-card" data-product-id="${item.id}">
+            <div class="product-card" data-product-id="${escape(item.id)}">
                 <div class="product-image">
-                    <img src="${item.image}" alt="${item.title}" loading="lazy">
-                    <button class="product-like-btn" data-product-id="${item.id}" aria-label="Add to favorites">
+                    <img src="${escape(item.image)}" alt="${escape(item.title)}" loading="lazy">
+                    <button class="product-like-btn" data-product-id="${escape(item.id)}" aria-label="Add to favorites">
                         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path>
                         </svg>
                     </button>
                 </div>
                 <div class="product-info">
-                    <h3 class="product-title">${item.title}</h3>
-                    <div class="product-price">$${item.price}</div>
-                    <div class="product-seller">by ${item.seller}</div>
+                    <h3 class="product-title">${escape(item.title)}</h3>
+                    <div class="product-price" data-price="${escape(item.price)}">${window.Currency.format(item.price)}</div>
+                    <div class="product-seller">by ${escape(item.seller)}</div>
                     <div class="product-rating">
-                        <div class="stars" data-rating="${item.rating}">
+                        <div class="stars" data-rating="${escape(item.rating)}">
                             ${this.renderStars(item.rating)}
                         </div>
-                        <span class="review-count">(${item.reviews})</span>
+                        <span class="review-count">(${escape(item.reviews)})</span>
                     </div>
                 </div>
             </div>
@@ -455,7 +493,7 @@ class Search {
         const display = priceRange.querySelector('.price-display');
 
         if (display) {
-            display.textContent = `$${minValue} - $${maxValue}`;
+            display.textContent = window.Currency.formatRange(parseFloat(minValue), parseFloat(maxValue));
         }
     }
 
@@ -548,10 +586,7 @@ class Search {
 
         this.currentPage++;
 
-        // Mock API call for more results
-        setTimeout(() => {
-            const moreResults = this.getMockSearchResults(this.currentPage);
-
+        this.fetchResults(this.currentPage).then(moreResults => {
             if (moreResults.items.length > 0) {
                 const productsGrid = document.querySelector('.products-grid');
                 if (productsGrid) {
@@ -572,7 +607,20 @@ class Search {
             if (loadingIndicator) {
                 loadingIndicator.style.display = 'none';
             }
-        }, 1000);
+        }).catch(error => {
+            if (error.cancelled) return;
+            this.currentPage--;
+
+            if (loadMoreBtn) {
+                loadMoreBtn.style.display = 'block';
+            }
+            if (loadingIndicator) {
+                loadingIndicator.style.display = 'none';
+            }
+            if (typeof Notifications !== 'undefined') {
+                this.notifications.show('Error loading more results. Please try again.', 'error');
+            }
+        });
     }
 
     saveSearch() {
@@ -615,80 +663,6 @@ class Search {
             }
         });
     }
-
-    getMockSearchResults(page = 1) {
-        // Mock search results data
-        const mockItems = [
-            {
-                id: 1,
-                title: 'Handmade Leather Crossbody Bag',
-                price: '89.99',
-                image: 'https://via.placeholder.com/280x240/FFE4E1/FF6B6B?text=Handmade+Bag',
-                seller: 'ArtisanLeather',
-                rating: 4.8,
-                reviews: 124
-            },
-            {
-                id: 2,
-                title: 'Ceramic Vase with Blue Glaze',
-                price: '45.00',
-                image: 'https://via.placeholder.com/280x240/E8F4F8/74B9FF?text=Ceramic+Vase',
-                seller: 'PotteryArt',
-                rating: 4.9,
-                reviews: 89
-            },
-            {
-                id: 3,
-                title: 'Merino Wool Throw Blanket',
-                price: '120.00',
-                image: 'https://via.placeholder.com/280x240/F0F8E7/6FAF5A?text=Wool+Blanket',
-                seller: 'WoolWorks',
-                rating: 4.7,
-                reviews: 203
-            },
-            {
-                id: 4,
-                title: 'Live Edge Wooden Salad Bowl',
-                price: '65.00',
-                image: 'https://via.placeholder.com/280x240/FFF2E8/FF8C42?text=Wooden+Bowl',
-                seller: 'WoodCraft',
-                rating: 4.6,
-                reviews: 67
-            },
-            {
-                id: 5,
-                title: 'Vintage Style Reading Glasses',
-                price: '35.00',
-                image: 'https://via.placeholder.com/280x240/FDEAF8/6B46C1?text=Reading+Glasses',
-                seller: 'VintageOptics',
-                rating: 4.5,
-                reviews: 156
-            },
-            {
-                id: 6,
-                title: 'Hand-painted Silk Scarf',
-                price: '55.00',
-                image: 'https://via.placeholder.com/280x240/FFE4E1/FF69B4?text=Silk+Scarf',
-                seller: 'SilkArtist',
-                rating: 4.9,
-                reviews: 78
-            }
-        ];
-
-        // Simulate pagination
-        const itemsPerPage = 6;
-        const startIndex = (page - 1) * itemsPerPage;
-        const endIndex = startIndex + itemsPerPage;
-        const pageItems = mockItems.slice(startIndex, endIndex);
-
-        return {
-            query: this.currentQuery,
-            items: pageItems,
-            total: mockItems.length,
-            page: page,
-            hasMore: endIndex < mockItems.length
-        };
-    }
 }
 
 // Export for use in main.js
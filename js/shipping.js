@@ -0,0 +1,258 @@
+/**
+ * Shipping Service - International rate calculator for the countries 7Fish ships to:
+ * per-region rate tables with per-country overrides, standard and priority service,
+ * free-shipping thresholds, delivery estimates and the shopper's persisted destination
+ */
+
+class Shipping {
+    constructor() {
+        this.storageKey = 'sevenfish_shipping';
+        this.country = null;
+        this.service = 'standard';
+        this.init();
+    }
+
+    init() {
+        const saved = window.Utils.storage.get(this.storageKey, {}) || {};
+
+        this.country = this.isSupported(saved.country) ? saved.country : this.detectCountry();
+        this.service = this.getServices().includes(saved.service) ? saved.service : 'standard';
+
+        window.Experiments.setContext({ country: this.country });
+    }
+
+    // Browser locale's region when we ship there, otherwise the configured home country
+    detectCountry() {
+        const region = ((navigator.language || '').split('-')[1] || '').toUpperCase();
+        return this.isSupported(region) ? region : window.Config.getString('shipping.defaultCountry', 'US');
+    }
+
+    // Rate tables: built-in, with the config's "shipping.regions" / "shipping.countries" merged over them
+    getRegions() {
+        return Config.merge(Shipping.REGIONS, window.Config.getObject('shipping.regions', {}));
+    }
+
+    getCountries() {
+        return Config.merge(Shipping.COUNTRIES, window.Config.getObject('shipping.countries', {}));
+    }
+
+    isSupported(code) {
+        return !!code && Object.prototype.hasOwnProperty.call(this.getCountries(), code);
+    }
+
+    getServices() {
+        return Object.keys(Shipping.SERVICES);
+    }
+
+    // { name, region, services, freeShippingThreshold } with the country's overrides applied
+    getDestination(code = this.country) {
+        const country = this.getCountries()[code];
+        if (!country) return null;
+
+        const region = this.getRegions()[country.region];
+        const { name, region: regionId, ...overrides } = country;
+        return { code, name, region: regionId, regionName: region.name, ...Config.merge(region, overrides) };
+    }
+
+    // Countries grouped by region, in table order, for the selector
+    getCountriesByRegion() {
+        const countries = this.getCountries();
+        return Object.keys(this.getRegions()).map(regionId => ({
+            id: regionId,
+            name: this.getRegions()[regionId].name,
+            countries: Object.keys(countries)
+                .filter(code => countries[code].region === regionId)
+                .map(code => ({ code, name: countries[code].name }))
+        }));
+    }
+
+    // Persisted choice
+    setCountry(code) {
+        if (!this.isSupported(code) || code === this.country) return;
+
+        this.country = code;
+        this.save();
+        window.Experiments.setContext({ country: code });
+        window.dispatchEvent(new CustomEvent('shippingChanged', { detail: { country: code, service: this.service } }));
+    }
+
+    setService(service) {
+        if (!this.getServices().includes(service) || service === this.service) return;
+
+        this.service = service;
+        this.save();
+        window.dispatchEvent(new CustomEvent('shippingChanged', { detail: { country: this.country, service } }));
+    }
+
+    save() {
+        window.Utils.storage.set(this.storageKey, { country: this.country, service: this.service });
+    }
+
+    /**
+     * Price shipping for cart lines. options:
+     *   country, service           - default to the shopper's choice
+     *   subtotal                   - merchandise subtotal, for the free-shipping threshold
+     *   freeShipping               - a promotion grants free standard shipping
+     *   freeShippingThreshold      - overrides the country's threshold (experiments)
+     * Returns { country, service, cost, fullCost, free, freeReason, threshold, remainingForFree, estimate }.
+     */
+    quote(items, options = {}) {
+        const destination = this.getDestination(options.country || this.country);
+        const service = options.service || this.service;
+        const rate = destination.services[service];
+        const fullCost = this.round(this.getRateCost(rate, items));
+
+        // Free shipping thresholds and promotions cover standard service only
+        const threshold = options.freeShippingThreshold !== undefined && options.freeShippingThreshold !== null
+            ? options.freeShippingThreshold
+            : destination.freeShippingThreshold;
+        const subtotal = options.subtotal !== undefined
+            ? options.subtotal
+            : items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+        let freeReason = null;
+        if (service === 'standard' && options.freeShipping) {
+            freeReason = 'promotion';
+        } else if (service === 'standard' && threshold !== null && threshold !== undefined && subtotal >= threshold) {
+            freeReason = 'threshold';
+        }
+
+        return {
+            country: destination.code,
+            countryName: destination.name,
+            service,
+            serviceName: Shipping.SERVICES[service].name,
+            cost: freeReason ? 0 : fullCost,
+            fullCost,
+            free: freeReason !== null,
+            freeReason,
+            threshold: threshold !== undefined ? threshold : null,
+            remainingForFree: service === 'standard' && !freeReason && threshold !== null && threshold !== undefined
+                ? this.round(threshold - subtotal)
+                : null,
+            estimate: this.estimateDelivery(rate.days)
+        };
+    }
+
+    // All services for a destination, e.g. to render the choice with prices
+    quoteAll(items, options = {}) {
+        return this.getServices().map(service => this.quote(items, { ...options, service }));
+    }
+
+    // 'items': base + perItem for each unit after the first; 'weight': base covers the first kg, then perKg
+    getRateCost(rate, items) {
+        if (rate.basis === 'weight') {
+            const defaultWeight = window.Config.getNumber('shipping.defaultItemWeight', 0.8);
+            const weight = items.reduce((sum, item) =>
+                sum + (item.weight !== undefined ? item.weight : defaultWeight) * item.quantity, 0);
+            return rate.base + Math.ceil(Math.max(0, weight - 1)) * (rate.perKg || 0);
+        }
+
+        const units = items.reduce((sum, item) => sum + item.quantity, 0);
+        return rate.base + Math.max(0, units - 1) * (rate.perItem || 0);
+    }
+
+    // Calendar-day window from today, e.g. { minDays: 7, maxDays: 15, from: Date, to: Date }
+    estimateDelivery([minDays, maxDays], from = new Date()) {
+        const day = 24 * 60 * 60 * 1000;
+        return {
+            minDays,
+            maxDays,
+            from: new Date(from.getTime() + minDays * day),
+            to: new Date(from.getTime() + maxDays * day)
+        };
+    }
+
+    formatEstimate(estimate) {
+        const format = (date) => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        return `${format(estimate.from)} – ${format(estimate.to)}`;
+    }
+
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+Shipping.SERVICES = {
+    standard: { name: 'Standard' },
+    priority: { name: 'Priority' }
+};
+
+// Standard delivery follows the FAQ's 7-15 days once customs clear; priority is tracked express
+Shipping.REGIONS = {
+    'north-america': {
+        name: 'North America',
+        freeShippingThreshold: 100,
+        services: {
+            standard: { basis: 'items', base: 9.99, perItem: 3.00, days: [7, 15] },
+            priority: { basis: 'weight', base: 24.99, perKg: 6.00, days: [4, 8] }
+        }
+    },
+    europe: {
+        name: 'Europe',
+        freeShippingThreshold: 150,
+        services: {
+            standard: { basis: 'items', base: 14.99, perItem: 4.00, days: [7, 15] },
+            priority: { basis: 'weight', base: 34.99, perKg: 9.00, days: [4, 8] }
+        }
+    },
+    asia: {
+        name: 'Asia',
+        freeShippingThreshold: 150,
+        services: {
+            standard: { basis: 'items', base: 16.99, perItem: 4.50, days: [7, 15] },
+            priority: { basis: 'weight', base: 39.99, perKg: 10.00, days: [4, 8] }
+        }
+    },
+    oceania: {
+        name: 'Australia',
+        freeShippingThreshold: 175,
+        services: {
+            standard: { basis: 'items', base: 18.99, perItem: 5.00, days: [7, 15] },
+            priority: { basis: 'weight', base: 44.99, perKg: 11.00, days: [5, 9] }
+        }
+    }
+};
+
+// The countries listed under "Countries We Ship To", with any departures from their region's table
+Shipping.COUNTRIES = {
+    US: { name: 'United States', region: 'north-america', freeShippingThreshold: 50,
+        services: { standard: { base: 5.99, perItem: 0 } } },
+    CA: { name: 'Canada', region: 'north-america', freeShippingThreshold: 75 },
+    MX: { name: 'Mexico', region: 'north-america' },
+    GB: { name: 'United Kingdom', region: 'europe', freeShippingThreshold: 120 },
+    DE: { name: 'Germany', region: 'europe', freeShippingThreshold: 120 },
+    FR: { name: 'France', region: 'europe', freeShippingThreshold: 120 },
+    IT: { name: 'Italy', region: 'europe' },
+    ES: { name: 'Spain', region: 'europe' },
+    NL: { name: 'Netherlands', region: 'europe', freeShippingThreshold: 120 },
+    BE: { name: 'Belgium', region: 'europe' },
+    AT: { name: 'Austria', region: 'europe' },
+    CH: { name: 'Switzerland', region: 'europe', services: { standard: { base: 17.99 } } },
+    SE: { name: 'Sweden', region: 'europe' },
+    DK: { name: 'Denmark', region: 'europe' },
+    NO: { name: 'Norway', region: 'europe', services: { standard: { base: 17.99 } } },
+    FI: { name: 'Finland', region: 'europe' },
+    EE: { name: 'Estonia', region: 'europe' },
+    LV: { name: 'Latvia', region: 'europe' },
+    LT: { name: 'Lithuania', region: 'europe' },
+    PL: { name: 'Poland', region: 'europe' },
+    PT: { name: 'Portugal', region: 'europe' },
+    GR: { name: 'Greece', region: 'europe' },
+    SG: { name: 'Singapore', region: 'asia', freeShippingThreshold: 120 },
+    MY: { name: 'Malaysia', region: 'asia' },
+    PH: { name: 'Philippines', region: 'asia' },
+    TH: { name: 'Thailand', region: 'asia' },
+    VN: { name: 'Vietnam', region: 'asia' },
+    KR: { name: 'South Korea', region: 'asia', freeShippingThreshold: 120 },
+    JP: { name: 'Japan', region: 'asia', freeShippingThreshold: 120 },
+    SA: { name: 'Saudi Arabia', region: 'asia' },
+    QA: { name: 'Qatar', region: 'asia' },
+    KW: { name: 'Kuwait', region: 'asia' },
+    AE: { name: 'United Arab Emirates', region: 'asia' },
+    AU: { name: 'Australia', region: 'oceania', freeShippingThreshold: 150 },
+    NZ: { name: 'New Zealand', region: 'oceania', services: { standard: { base: 21.99 } } }
+};
+
+// Create global instance
+window.Shipping = new Shipping();
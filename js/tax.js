@@ -0,0 +1,259 @@
+/**
+ * Tax Service - Sales tax, VAT and GST for the shipping destination: US state sales tax,
+ * VAT/GST-inclusive display for the EU, UK, Australia and New Zealand, tax-exempt
+ * categories and each jurisdiction's rounding rule
+ */
+
+class Tax {
+    /**
+     * A jurisdiction:
+     *   { name: 'VAT' | 'GST' | 'Sales tax' | ..., rate, inclusive, taxShipping,
+     *     exemptCategories: [...], rounding: 'line' | 'total', roundingMethod: 'half-up' | 'down',
+     *     regions: { CODE: { name, rate, taxShipping, exemptCategories } } }
+     * Catalog prices are always net; an inclusive jurisdiction only changes how they're shown.
+     */
+    constructor() {
+        this.storageKey = 'sevenfish_tax';
+        this.region = null; // US state, once the shopper picks one
+        this.init();
+    }
+
+    init() {
+        const saved = window.Utils.storage.get(this.storageKey, {}) || {};
+        this.region = saved.region || null;
+    }
+
+    // Built-in table with the config's "tax.jurisdictions" merged over it
+    getJurisdictions() {
+        return Config.merge(Tax.JURISDICTIONS, window.Config.getObject('tax.jurisdictions', {}));
+    }
+
+    // The rules for a country (and US state), flattened; null when we don't collect tax there
+    getJurisdiction(country = window.Shipping.country, region = this.region) {
+        const jurisdiction = this.getJurisdictions()[country];
+        if (!jurisdiction) return null;
+
+        const { regions, ...rules } = jurisdiction;
+        const exemptCategories = [
+            ...window.Config.getArray('tax.exemptCategories', []),
+            ...(rules.exemptCategories || [])
+        ];
+
+        if (!regions) {
+            return { rounding: 'total', roundingMethod: 'half-up', ...rules, country, region: null, exemptCategories, estimated: false };
+        }
+
+        // States each set their own rate; until one is chosen we estimate with cart.taxRate
+        const state = region && regions[region];
+        return {
+            rounding: 'total',
+            roundingMethod: 'half-up',
+            ...rules,
+            ...(state || { rate: window.Config.getNumber('cart.taxRate', 0.08) }),
+            name: rules.name,
+            regionName: state ? state.name : null,
+            country,
+            region: state ? region : null,
+            exemptCategories: [...exemptCategories, ...((state && state.exemptCategories) || [])],
+            estimated: !state
+        };
+    }
+
+    // Regions the shopper has to choose between for a country (US states), or []
+    getRegions(country = window.Shipping.country) {
+        const jurisdiction = this.getJurisdictions()[country];
+        if (!jurisdiction || !jurisdiction.regions) return [];
+
+        return Object.keys(jurisdiction.regions)
+            .map(code => ({ code, name: jurisdiction.regions[code].name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    setRegion(region) {
+        if (region === this.region) return;
+
+        this.region = region || null;
+        window.Utils.storage.set(this.storageKey, { region: this.region });
+        window.dispatchEvent(new CustomEvent('taxChanged', { detail: { region: this.region } }));
+    }
+
+    isExempt(item, jurisdiction) {
+        return !!item.taxExempt || jurisdiction.exemptCategories.includes(item.category);
+    }
+
+    /**
+     * Tax on cart lines for a destination. options:
+     *   country, region - default to the shipping country and the chosen state
+     *   discount        - order discount, spread over the lines in proportion to their value
+     *   shipping        - shipping charge, taxed where the jurisdiction taxes shipping
+     * Returns { country, region, name, rate, inclusive, estimated, taxable, exempt,
+     * shippingTax, tax, breakdown: [{ label, rate, taxable, amount }] }.
+     */
+    calculate(items, options = {}) {
+        const jurisdiction = this.getJurisdiction(options.country || window.Shipping.country,
+            options.region !== undefined ? options.region : this.region);
+        const discount = options.discount || 0;
+        const shipping = options.shipping || 0;
+
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const empty = {
+            country: options.country || window.Shipping.country,
+            region: null,
+            name: null,
+            rate: 0,
+            inclusive: false,
+            estimated: false,
+            taxable: 0,
+            exempt: this.round(subtotal - discount),
+            shippingTax: 0,
+            tax: 0,
+            breakdown: []
+        };
+        if (!jurisdiction) return empty;
+        if (!jurisdiction.rate) return { ...empty, region: jurisdiction.region, name: jurisdiction.name };
+
+        const share = subtotal > 0 ? Math.max(0, subtotal - discount) / subtotal : 0;
+        const round = (amount) => this.round(amount, jurisdiction.roundingMethod);
+
+        let taxable = 0;
+        let exempt = 0;
+        let lineTax = 0;
+        items.forEach(item => {
+            const amount = item.price * item.quantity * share;
+            if (this.isExempt(item, jurisdiction)) {
+                exempt += amount;
+                return;
+            }
+            taxable += amount;
+            if (jurisdiction.rounding === 'line') {
+                lineTax += round(amount * jurisdiction.rate);
+            }
+        });
+
+        const goodsTax = jurisdiction.rounding === 'line' ? this.round(lineTax) : round(taxable * jurisdiction.rate);
+        const shippingTax = jurisdiction.taxShipping ? round(shipping * jurisdiction.rate) : 0;
+        const label = this.getLabel(jurisdiction);
+
+        const breakdown = [{ label, rate: jurisdiction.rate, taxable: this.round(taxable), amount: goodsTax }];
+        if (shippingTax > 0) {
+            breakdown.push({ label: `${label} on shipping`, rate: jurisdiction.rate, taxable: this.round(shipping), amount: shippingTax });
+        }
+
+        return {
+            country: jurisdiction.country,
+            region: jurisdiction.region,
+            name: jurisdiction.name,
+            rate: jurisdiction.rate,
+            inclusive: !!jurisdiction.inclusive,
+            estimated: jurisdiction.estimated,
+            taxable: this.round(taxable),
+            exempt: this.round(exempt),
+            shippingTax,
+            tax: this.round(goodsTax + shippingTax),
+            breakdown
+        };
+    }
+
+    // e.g. 'VAT (19%)', 'Illinois sales tax (6.25%)', 'Estimated sales tax (8%)'
+    getLabel(jurisdiction) {
+        const percent = `${this.round(jurisdiction.rate * 100, 'half-up', 3)}%`;
+        if (jurisdiction.estimated) return `Estimated ${jurisdiction.name.toLowerCase()} (${percent})`;
+        if (jurisdiction.regionName) return `${jurisdiction.regionName} ${jurisdiction.name.toLowerCase()} (${percent})`;
+        return `${jurisdiction.name} (${percent})`;
+    }
+
+    // How a net amount is shown to the shopper: with VAT/GST added where prices are shown inclusive
+    displayPrice(amount, item = {}, country = window.Shipping.country) {
+        const jurisdiction = this.getJurisdiction(country);
+        if (!jurisdiction || !jurisdiction.inclusive || this.isExempt(item, jurisdiction)) return amount;
+        return this.round(amount * (1 + jurisdiction.rate), jurisdiction.roundingMethod);
+    }
+
+    displayShipping(amount, country = window.Shipping.country) {
+        const jurisdiction = this.getJurisdiction(country);
+        if (!jurisdiction || !jurisdiction.inclusive || !jurisdiction.taxShipping) return amount;
+        return this.round(amount * (1 + jurisdiction.rate), jurisdiction.roundingMethod);
+    }
+
+    isInclusive(country = window.Shipping.country) {
+        const jurisdiction = this.getJurisdiction(country);
+        return !!(jurisdiction && jurisdiction.inclusive);
+    }
+
+    // 'half-up' rounds half a cent away from zero; 'down' truncates (Japanese consumption tax)
+    round(amount, method = 'half-up', decimals = 2) {
+        const factor = Math.pow(10, decimals);
+        const scaled = amount * factor;
+        // Absorb floating point noise such as 1.005 * 100 = 100.49999999999999
+        const nudged = Math.round(scaled * 1e6) / 1e6;
+        return (method === 'down' ? Math.floor(nudged) : Math.round(nudged)) / factor;
+    }
+}
+
+Tax.JURISDICTIONS = {
+    // State-level sales tax; local rates on top vary by address and are settled at checkout
+    US: {
+        name: 'Sales tax',
+        rounding: 'total',
+        regions: {
+            AL: { name: 'Alabama', rate: 0.04 }, AK: { name: 'Alaska', rate: 0 }, AZ: { name: 'Arizona', rate: 0.056 },
+            AR: { name: 'Arkansas', rate: 0.065 }, CA: { name: 'California', rate: 0.0725 }, CO: { name: 'Colorado', rate: 0.029 },
+            CT: { name: 'Connecticut', rate: 0.0635 }, DE: { name: 'Delaware', rate: 0 }, DC: { name: 'District of Columbia', rate: 0.06 },
+            FL: { name: 'Florida', rate: 0.06 }, GA: { name: 'Georgia', rate: 0.04 }, HI: { name: 'Hawaii', rate: 0.04 },
+            ID: { name: 'Idaho', rate: 0.06 }, IL: { name: 'Illinois', rate: 0.0625 }, IN: { name: 'Indiana', rate: 0.07 },
+            IA: { name: 'Iowa', rate: 0.06 }, KS: { name: 'Kansas', rate: 0.065 }, KY: { name: 'Kentucky', rate: 0.06 },
+            LA: { name: 'Louisiana', rate: 0.0445 }, ME: { name: 'Maine', rate: 0.055 }, MD: { name: 'Maryland', rate: 0.06 },
+            MA: { name: 'Massachusetts', rate: 0.0625 }, MI: { name: 'Michigan', rate: 0.06 }, MN: { name: 'Minnesota', rate: 0.06875 },
+            MS: { name: 'Mississippi', rate: 0.07 }, MO: { name: 'Missouri', rate: 0.04225 }, MT: { name: 'Montana', rate: 0 },
+            NE: { name: 'Nebraska', rate: 0.055 }, NV: { name: 'Nevada', rate: 0.0685 }, NH: { name: 'New Hampshire', rate: 0 },
+            NJ: { name: 'New Jersey', rate: 0.06625 }, NM: { name: 'New Mexico', rate: 0.04875 }, NY: { name: 'New York', rate: 0.04 },
+            NC: { name: 'North Carolina', rate: 0.0475 }, ND: { name: 'North Dakota', rate: 0.05 }, OH: { name: 'Ohio', rate: 0.0575 },
+            OK: { name: 'Oklahoma', rate: 0.045 }, OR: { name: 'Oregon', rate: 0 }, PA: { name: 'Pennsylvania', rate: 0.06 },
+            RI: { name: 'Rhode Island', rate: 0.07 }, SC: { name: 'South Carolina', rate: 0.06 }, SD: { name: 'South Dakota', rate: 0.042 },
+            TN: { name: 'Tennessee', rate: 0.07 }, TX: { name: 'Texas', rate: 0.0625 }, UT: { name: 'Utah', rate: 0.061 },
+            VT: { name: 'Vermont', rate: 0.06 }, VA: { name: 'Virginia', rate: 0.053 }, WA: { name: 'Washington', rate: 0.065 },
+            WV: { name: 'West Virginia', rate: 0.06 }, WI: { name: 'Wisconsin', rate: 0.05 }, WY: { name: 'Wyoming', rate: 0.04 }
+        }
+    },
+    CA: { name: 'GST', rate: 0.05, taxShipping: true },
+    MX: { name: 'IVA', rate: 0.16, taxShipping: true },
+
+    // EU VAT is charged at the destination's rate (One-Stop Shop), per line and shown in prices
+    AT: { name: 'VAT', rate: 0.20, inclusive: true, taxShipping: true, rounding: 'line' },
+    BE: { name: 'VAT', rate: 0.21, inclusive: true, taxShipping: true, rounding: 'line' },
+    DE: { name: 'VAT', rate: 0.19, inclusive: true, taxShipping: true, rounding: 'line' },
+    DK: { name: 'VAT', rate: 0.25, inclusive: true, taxShipping: true, rounding: 'line' },
+    EE: { name: 'VAT', rate: 0.22, inclusive: true, taxShipping: true, rounding: 'line' },
+    ES: { name: 'VAT', rate: 0.21, inclusive: true, taxShipping: true, rounding: 'line' },
+    FI: { name: 'VAT', rate: 0.255, inclusive: true, taxShipping: true, rounding: 'line' },
+    FR: { name: 'VAT', rate: 0.20, inclusive: true, taxShipping: true, rounding: 'line' },
+    GR: { name: 'VAT', rate: 0.24, inclusive: true, taxShipping: true, rounding: 'line' },
+    IT: { name: 'VAT', rate: 0.22, inclusive: true, taxShipping: true, rounding: 'line' },
+    LT: { name: 'VAT', rate: 0.21, inclusive: true, taxShipping: true, rounding: 'line' },
+    LV: { name: 'VAT', rate: 0.21, inclusive: true, taxShipping: true, rounding: 'line' },
+    NL: { name: 'VAT', rate: 0.21, inclusive: true, taxShipping: true, rounding: 'line' },
+    PL: { name: 'VAT', rate: 0.23, inclusive: true, taxShipping: true, rounding: 'line' },
+    PT: { name: 'VAT', rate: 0.23, inclusive: true, taxShipping: true, rounding: 'line' },
+    SE: { name: 'VAT', rate: 0.25, inclusive: true, taxShipping: true, rounding: 'line' },
+    GB: { name: 'VAT', rate: 0.20, inclusive: true, taxShipping: true, rounding: 'line' },
+    AU: { name: 'GST', rate: 0.10, inclusive: true, taxShipping: true },
+    NZ: { name: 'GST', rate: 0.15, inclusive: true, taxShipping: true },
+
+    // Outside the EU, import VAT is added at checkout rather than shown in prices
+    CH: { name: 'VAT', rate: 0.081, taxShipping: true },
+    NO: { name: 'VAT', rate: 0.25, taxShipping: true },
+    SG: { name: 'GST', rate: 0.09, taxShipping: true },
+    MY: { name: 'SST', rate: 0.10 },
+    PH: { name: 'VAT', rate: 0.12, taxShipping: true },
+    TH: { name: 'VAT', rate: 0.07, taxShipping: true },
+    VN: { name: 'VAT', rate: 0.10, taxShipping: true },
+    KR: { name: 'VAT', rate: 0.10, taxShipping: true },
+    JP: { name: 'Consumption tax', rate: 0.10, taxShipping: true, roundingMethod: 'down' },
+    SA: { name: 'VAT', rate: 0.15, taxShipping: true },
+    AE: { name: 'VAT', rate: 0.05, taxShipping: true },
+    QA: { name: 'VAT', rate: 0 },
+    KW: { name: 'VAT', rate: 0 }
+};
+
+// Create global instance
+window.Tax = new Tax();
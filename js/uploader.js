@@ -0,0 +1,478 @@
+/**
+ * Uploader - File validation, image preparation (downscaling, EXIF orientation),
+ * progress reporting, resumable chunked uploads and multi-file batches for API uploads
+ */
+
+class Uploader {
+    constructor(api) {
+        this.api = api;
+        this.sessionsKey = 'sevenfish_upload_sessions';
+        this.sessionTTL = 24 * 60 * 60 * 1000;
+        this.chunkSize = 2 * 1024 * 1024;
+        this.chunkThreshold = 5 * 1024 * 1024; // Larger files are sent in resumable chunks
+        this.maxChunkRetries = 5;
+        this.uploadTimeout = 5 * 60 * 1000;
+        this.chunkTimeout = 60 * 1000;
+        this.defaultRules = { accept: null, maxSize: 20 * 1024 * 1024 };
+        this.imageRules = {
+            accept: ['image/jpeg', 'image/png', 'image/webp', 'image/heic'],
+            maxSize: 20 * 1024 * 1024
+        };
+        this.imageDefaults = { maxWidth: 2048, maxHeight: 2048, quality: 0.85 };
+    }
+
+    // Validation
+    validate(file, rules = {}, fieldName = 'file') {
+        const { accept, maxSize, minSize = 1 } = { ...this.defaultRules, ...rules };
+        let message = null;
+
+        if (!file) {
+            message = 'Please choose a file to upload.';
+        } else if (accept && !this.matchesType(file, accept)) {
+            message = `${file.name} is not a supported file type.`;
+        } else if (maxSize && file.size > maxSize) {
+            message = `${file.name} is too large (max ${this.formatSize(maxSize)}).`;
+        } else if (file.size < minSize) {
+            message = `${file.name} is empty.`;
+        }
+
+        if (message) {
+            throw new ValidationError(message, { fieldErrors: { [fieldName]: [message] } });
+        }
+    }
+
+    // accept entries may be exact MIME types, wildcards ('image/*') or extensions ('.pdf')
+    matchesType(file, accept) {
+        const type = (file.type || '').toLowerCase();
+        const name = (file.name || '').toLowerCase();
+
+        return accept.some(rule => {
+            rule = rule.toLowerCase();
+            if (rule.startsWith('.')) return name.endsWith(rule);
+            if (rule.endsWith('/*')) return type.startsWith(rule.slice(0, -1));
+            return type === rule;
+        });
+    }
+
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} bytes`;
+    }
+
+    // Image preparation
+    async prepareImage(file, options = {}) {
+        // GIFs may be animated and canvases can't decode HEIC everywhere; send those untouched
+        if (!/^image\/(jpeg|png|webp)$/.test(file.type)) return file;
+
+        const { maxWidth, maxHeight, quality } = { ...this.imageDefaults, ...options };
+        const orientation = this.browserAppliesOrientation() ? 1 : await this.readOrientation(file);
+
+        let image;
+        try {
+            image = await this.loadImage(file);
+        } catch (error) {
+            console.warn('Could not decode image, uploading original:', error);
+            return file;
+        }
+
+        const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+        if (scale === 1 && orientation === 1) {
+            if (image.close) image.close();
+            return file;
+        }
+
+        const width = Math.round(image.width * scale);
+        const height = Math.round(image.height * scale);
+        const swapsAxes = orientation >= 5 && orientation <= 8;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = swapsAxes ? height : width;
+        canvas.height = swapsAxes ? width : height;
+
+        const context = canvas.getContext('2d');
+        this.applyOrientation(context, orientation, width, height);
+        context.drawImage(image, 0, 0, width, height);
+        if (image.close) image.close();
+
+        const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+        if (!blob) return file;
+
+        const name = type === 'image/jpeg' ? file.name.replace(/\.(png|webp)$/i, '.jpg') : file.name;
+        return new File([blob], name, { type, lastModified: file.lastModified });
+    }
+
+    loadImage(file) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(file, { imageOrientation: 'from-image' });
+        }
+
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = (error) => {
+                URL.revokeObjectURL(url);
+                reject(error);
+            };
+            img.src = url;
+        });
+    }
+
+    // Current browsers rotate decoded images themselves; older ones need the EXIF tag applied by hand
+    browserAppliesOrientation() {
+        return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+    }
+
+    // Returns the JPEG EXIF orientation (1-8), or 1 when absent
+    async readOrientation(file) {
+        if (file.type !== 'image/jpeg') return 1;
+
+        const view = new DataView(await file.slice(0, 64 * 1024).arrayBuffer());
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+
+            // APP1 segment starting with "Exif\0\0"
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+                const tiff = offset + 10;
+                const little = view.getUint16(tiff) === 0x4949;
+                const ifd = tiff + view.getUint32(tiff + 4, little);
+                const entries = view.getUint16(ifd, little);
+
+                for (let i = 0; i < entries; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (entry + 10 > view.byteLength) break;
+                    if (view.getUint16(entry, little) === 0x0112) {
+                        return view.getUint16(entry + 8, little);
+                    }
+                }
+                return 1;
+            }
+
+            if ((marker & 0xFF00) !== 0xFF00) break;
+            offset += 2 + length;
+        }
+
+        return 1;
+    }
+
+    applyOrientation(context, orientation, width, height) {
+        switch (orientation) {
+            case 2: context.transform(-1, 0, 0, 1, width, 0); break;
+            case 3: context.transform(-1, 0, 0, -1, width, height); break;
+            case 4: context.transform(1, 0, 0, -1, 0, height); break;
+            case 5: context.transform(0, 1, 1, 0, 0, 0); break;
+            case 6: context.transform(0, 1, -1, 0, height, 0); break;
+            case 7: context.transform(0, -1, -1, 0, height, width); break;
+            case 8: context.transform(0, -1, 1, 0, 0, width); break;
+            default: break;
+        }
+    }
+
+    // Progress
+    createProgressReporter(label, { onProgress = null, notify = true } = {}) {
+        const notifications = notify ? this.api.notifications : null;
+        const name = window.Utils.escapeHTML(label); // File names are user-controlled; toasts render HTML
+        const toast = notifications ? notifications.progress(`Uploading ${name}...`, 0) : null;
+
+        return {
+            update: (loaded, total) => {
+                const percent = total ? Math.min(100, Math.round((loaded / total) * 100)) : 0;
+                if (toast) {
+                    toast.update(percent, `Uploading ${name}... ${percent}%`);
+                }
+                if (onProgress) {
+                    onProgress({ loaded, total, percent });
+                }
+            },
+            close: () => {
+                if (toast) toast.close();
+            }
+        };
+    }
+
+    // Uploads
+    async upload(endpoint, file, options = {}) {
+        const {
+            fieldName = 'file',
+            data = {},
+            rules = {},
+            image = true,
+            chunked = null,
+            onProgress = null,
+            notify = true,
+            signal
+        } = options;
+
+        this.validate(file, rules, fieldName);
+
+        const prepared = image ? await this.prepareImage(file, image === true ? {} : image) : file;
+        const progress = this.createProgressReporter(file.name, { onProgress, notify });
+        const useChunks = chunked !== null ? chunked : prepared.size > this.chunkThreshold;
+
+        try {
+            const result = useChunks
+                ? await this.uploadChunked(endpoint, prepared, { data, progress, signal })
+                : await this.uploadSingle(endpoint, prepared, { fieldName, data, progress, signal });
+
+            progress.update(prepared.size, prepared.size);
+            return result;
+        } finally {
+            progress.close();
+        }
+    }
+
+    uploadSingle(endpoint, file, { fieldName, data, progress, signal }) {
+        const formData = new FormData();
+        formData.append(fieldName, file, file.name);
+
+        Object.keys(data).forEach(key => {
+            formData.append(key, data[key]);
+        });
+
+        // Content-Type is dropped by the defaultHeaders interceptor for FormData bodies
+        return this.api.request(endpoint, {
+            method: 'POST',
+            body: formData,
+            onUploadProgress: ({ loaded, total }) => progress.update(loaded, total),
+            queueOffline: false,
+            timeout: this.uploadTimeout,
+            signal
+        });
+    }
+
+    /**
+     * Resumable protocol:
+     *   POST {endpoint}/uploads            { fileName, size, type, chunkSize, ...data } -> { uploadId }
+     *   GET  {endpoint}/uploads/{uploadId} -> { uploadedBytes }
+     *   PUT  {endpoint}/uploads/{uploadId} chunk body + Content-Range; the final chunk returns the file
+     */
+    async uploadChunked(endpoint, file, { data, progress, signal }) {
+        const fingerprint = this.getFingerprint(endpoint, file);
+        let session = this.getSession(fingerprint);
+        let offset = 0;
+
+        if (session) {
+            try {
+                const status = await this.api.get(`${endpoint}/uploads/${session.uploadId}`, {}, { queueOffline: false, signal });
+                offset = status.uploadedBytes || 0;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+                session = null; // Expired on the server; start over
+            }
+        }
+
+        if (!session) {
+            const created = await this.api.post(`${endpoint}/uploads`, {
+                fileName: file.name,
+                size: file.size,
+                type: file.type,
+                chunkSize: this.chunkSize,
+                ...data
+            }, { queueOffline: false, signal });
+
+            session = { uploadId: created.uploadId || created.id, createdAt: Date.now() };
+            this.saveSession(fingerprint, session);
+        }
+
+        let result = null;
+        progress.update(offset, file.size);
+
+        while (offset < file.size) {
+            const end = Math.min(offset + this.chunkSize, file.size);
+            result = await this.sendChunk(`${endpoint}/uploads/${session.uploadId}`, file, offset, end, progress, signal);
+
+            // The server is the authority on how much it has; it may report less after a retry
+            offset = result && typeof result.uploadedBytes === 'number' ? result.uploadedBytes : end;
+        }
+
+        this.removeSession(fingerprint);
+        return result;
+    }
+
+    async sendChunk(url, file, start, end, progress, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.api.request(url, {
+                    method: 'PUT',
+                    body: file.slice(start, end),
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        'Content-Range': `bytes ${start}-${end - 1}/${file.size}`
+                    },
+                    onUploadProgress: ({ loaded }) => progress.update(start + loaded, file.size),
+                    queueOffline: false,
+                    timeout: this.chunkTimeout,
+                    signal
+                });
+            } catch (error) {
+                // Offset mismatch: resync from what the server actually received
+                if (error.status === 409 && error.data && typeof error.data.uploadedBytes === 'number') {
+                    return { uploadedBytes: error.data.uploadedBytes };
+                }
+
+                if (error.cancelled || !error.retryable || attempt >= this.maxChunkRetries) {
+                    throw error;
+                }
+
+                if (!navigator.onLine) {
+                    await this.waitForOnline(signal);
+                } else {
+                    await this.delay(RateLimiter.getRetryDelay(attempt), signal);
+                }
+            }
+        }
+    }
+
+    waitForOnline(signal) {
+        return new Promise((resolve, reject) => {
+            const onOnline = () => {
+                window.removeEventListener('online', onOnline);
+                resolve();
+            };
+            window.addEventListener('online', onOnline);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    window.removeEventListener('online', onOnline);
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Upload several files, reporting each one's status:
+     * 'pending' -> 'uploading' -> 'done' | 'failed' | 'invalid' | 'cancelled'
+     */
+    async uploadBatch(endpoint, files, options = {}) {
+        const { concurrency = 2, onFileStatus = null, notify = true, ...uploadOptions } = options;
+        const entries = Array.from(files).map((file, index) => ({
+            index,
+            file,
+            name: file.name,
+            status: 'pending',
+            progress: 0,
+            result: null,
+            error: null
+        }));
+
+        const notifications = notify ? this.api.notifications : null;
+        const toast = notifications && entries.length > 0
+            ? notifications.progress(`Uploading ${entries.length} file${entries.length > 1 ? 's' : ''}...`, 0)
+            : null;
+
+        const report = (entry) => {
+            if (toast) {
+                const finished = entries.filter(item => !['pending', 'uploading'].includes(item.status)).length;
+                const overall = entries.reduce((sum, item) => sum + item.progress, 0) / entries.length;
+                toast.update(overall, `Uploading files... ${finished}/${entries.length} complete`);
+            }
+            if (onFileStatus) {
+                onFileStatus(entry, entries);
+            }
+        };
+
+        // Reject bad files up front so valid ones aren't held up by them
+        entries.forEach(entry => {
+            try {
+                this.validate(entry.file, uploadOptions.rules, uploadOptions.fieldName);
+            } catch (error) {
+                entry.status = 'invalid';
+                entry.error = error;
+                report(entry);
+            }
+        });
+
+        const queue = entries.filter(entry => entry.status === 'pending');
+        const worker = async () => {
+            while (queue.length > 0) {
+                const entry = queue.shift();
+                entry.status = 'uploading';
+                report(entry);
+
+                try {
+                    entry.result = await this.upload(endpoint, entry.file, {
+                        ...uploadOptions,
+                        notify: false,
+                        onProgress: ({ percent }) => {
+                            entry.progress = percent;
+                            report(entry);
+                        }
+                    });
+                    entry.status = 'done';
+                    entry.progress = 100;
+                } catch (error) {
+                    entry.status = error.cancelled ? 'cancelled' : 'failed';
+                    entry.error = error;
+                }
+                report(entry);
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+        } finally {
+            if (toast) toast.close();
+        }
+
+        return entries;
+    }
+
+    // Resumable session bookkeeping
+    getFingerprint(endpoint, file) {
+        return [endpoint, file.name, file.size, file.lastModified].join('|');
+    }
+
+    getSessions() {
+        const sessions = window.Utils.storage.get(this.sessionsKey, {}) || {};
+        const now = Date.now();
+
+        Object.keys(sessions).forEach(key => {
+            if (now - sessions[key].createdAt > this.sessionTTL) {
+                delete sessions[key];
+            }
+        });
+
+        return sessions;
+    }
+
+    getSession(fingerprint) {
+        return this.getSessions()[fingerprint] || null;
+    }
+
+    saveSession(fingerprint, session) {
+        const sessions = this.getSessions();
+        sessions[fingerprint] = session;
+        window.Utils.storage.set(this.sessionsKey, sessions);
+    }
+
+    removeSession(fingerprint) {
+        const sessions = this.getSessions();
+        delete sessions[fingerprint];
+        window.Utils.storage.set(this.sessionsKey, sessions);
+    }
+}
+
+// Export for use in api.js
+window.Uploader = Uploader;
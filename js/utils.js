@@ -281,11 +281,11 @@ class Utils {
         return temp.innerHTML;
     }
 
-    // Escape HTML
+    // Escape HTML; quotes too, so the result is also safe inside attribute values
     escapeHTML(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // Parse JSON safely